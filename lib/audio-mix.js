@@ -0,0 +1,109 @@
+const config = require('./config');
+
+// Integrated loudness targets (LUFS) for the final loudnorm pass
+const LOUDNESS_PRESETS = {
+  social: -14,
+  youtube: -14,
+  podcast: -16,
+  broadcast: -23
+};
+
+const DUCKING_DEFAULTS = {
+  threshold: 0.03,  // Speech level (linear) above which the music is pushed down
+  ratio: 8,
+  attack: 20,       // ms
+  release: 400      // ms
+};
+
+const toNumber = (value, name, min, max) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// Read and check the music/loudness options of an /add-music-subtitles request
+const resolveMixOptions = (params) => {
+  const options = {
+    voiceVolume: toNumber(params.voiceVolume ?? config.mix.voiceVolume, 'voiceVolume', 0, config.mix.maxVolume),
+    musicVolume: toNumber(params.musicVolume ?? config.mix.musicVolume, 'musicVolume', 0, config.mix.maxVolume),
+    musicFadeIn: toNumber(params.musicFadeIn ?? 0, 'musicFadeIn', 0, 60),
+    musicFadeOut: toNumber(params.musicFadeOut ?? 0, 'musicFadeOut', 0, 60),
+    loopMusic: params.loopMusic === undefined ? true : params.loopMusic === true || params.loopMusic === 'true',
+    ducking: null,
+    loudness: null
+  };
+
+  if (params.ducking && params.ducking !== 'false') {
+    const ducking = typeof params.ducking === 'object' ? params.ducking : {};
+    options.ducking = {
+      threshold: toNumber(ducking.threshold ?? DUCKING_DEFAULTS.threshold, 'ducking.threshold', 0.001, 1),
+      ratio: toNumber(ducking.ratio ?? DUCKING_DEFAULTS.ratio, 'ducking.ratio', 1, 20),
+      attack: toNumber(ducking.attack ?? DUCKING_DEFAULTS.attack, 'ducking.attack', 0.01, 2000),
+      release: toNumber(ducking.release ?? DUCKING_DEFAULTS.release, 'ducking.release', 0.01, 9000)
+    };
+  }
+
+  if (params.loudnessTarget !== undefined && params.loudnessTarget !== null && params.loudnessTarget !== '') {
+    const preset = LOUDNESS_PRESETS[params.loudnessTarget];
+    options.loudness = {
+      target: preset !== undefined ? preset : toNumber(params.loudnessTarget, 'loudnessTarget', -70, -5),
+      truePeak: toNumber(params.truePeak ?? -1.5, 'truePeak', -9, 0),
+      range: toNumber(params.loudnessRange ?? 11, 'loudnessRange', 1, 20)
+    };
+  }
+
+  return options;
+};
+
+// Build the audio part of the filter graph, ending in [aout]. The voice is input 0 unless
+// `voiceInput` names another (a silent stand-in for a video without sound).
+// Returns null when the original audio can be copied through untouched
+const buildAudioFilter = ({ hasMusic, musicInput, voiceInput = 0, duration, options }) => {
+  const filters = [];
+  const voice = `[${voiceInput}:a]`;
+  let mixed = voice;
+
+  if (hasMusic) {
+    const musicChain = [`volume=${options.musicVolume}`];
+    if (options.musicFadeIn > 0) {
+      musicChain.push(`afade=t=in:st=0:d=${options.musicFadeIn}`);
+    }
+    if (options.musicFadeOut > 0 && duration > options.musicFadeOut) {
+      musicChain.push(`afade=t=out:st=${(duration - options.musicFadeOut).toFixed(3)}:d=${options.musicFadeOut}`);
+    }
+
+    if (options.ducking) {
+      // The voice both goes to the mix and drives the compressor that ducks the music
+      const { threshold, ratio, attack, release } = options.ducking;
+      filters.push(`${voice}volume=${options.voiceVolume},asplit=2[voice][sidechain]`);
+      filters.push(`[${musicInput}:a]${musicChain.join(',')}[music]`);
+      filters.push(`[music][sidechain]sidechaincompress=threshold=${threshold}:ratio=${ratio}:attack=${attack}:release=${release}[ducked]`);
+      filters.push('[voice][ducked]amix=inputs=2:duration=first:dropout_transition=0[mixed]');
+    } else {
+      filters.push(`${voice}volume=${options.voiceVolume}[a0]`);
+      filters.push(`[${musicInput}:a]${musicChain.join(',')}[a1]`);
+      filters.push('[a0][a1]amix=inputs=2:duration=first:dropout_transition=0[mixed]');
+    }
+    mixed = '[mixed]';
+  }
+
+  if (options.loudness) {
+    const { target, truePeak, range } = options.loudness;
+    // loudnorm resamples to 192 kHz internally, so bring it back to a normal rate
+    filters.push(`${mixed}loudnorm=I=${target}:TP=${truePeak}:LRA=${range},aresample=48000[aout]`);
+  } else if (hasMusic) {
+    filters[filters.length - 1] = filters[filters.length - 1].replace('[mixed]', '[aout]');
+  } else {
+    return null;
+  }
+
+  return filters.join(';');
+};
+
+module.exports = {
+  LOUDNESS_PRESETS,
+  resolveMixOptions,
+  buildAudioFilter
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+// Requests that need no credentials at all
+const PUBLIC_PATHS = ['/health'];
+
+// HMAC-signed requests must be this fresh (seconds either way)
+const MAX_CLOCK_SKEW = 300;
+const RATE_WINDOW = 60 * 1000;
+
+// API_KEYS="id:secret[:requestsPerMinute],..."; with no keys configured authentication is off
+const parseApiKeys = (value = '') => {
+  const defaultLimit = config.auth.rateLimitPerMinute;
+  const keys = new Map();
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [id, secret, limit] = entry.split(':');
+    if (!id || !secret) {
+      throw new Error(`Invalid API_KEYS entry "${id}", expected id:secret[:requestsPerMinute]`);
+    }
+    keys.set(id, { id, secret, limit: Number(limit) || defaultLimit });
+  });
+
+  return keys;
+};
+
+const apiKeys = parseApiKeys(config.auth.apiKeys || '');
+
+// Without a configured secret, signed links only live as long as the process
+const urlSecret = config.auth.urlSigningSecret || crypto.randomBytes(32).toString('hex');
+const signedUrlTtl = config.auth.signedUrlTtl;
+
+const enabled = () => apiKeys.size > 0;
+
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Add ?expires=&signature= to a path so it can be fetched without credentials until it expires
+const signPath = (pathname, ttl = signedUrlTtl) => {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const signature = hmac(urlSecret, `${pathname}\n${expires}`);
+  return `${pathname}?expires=${expires}&signature=${signature}`;
+};
+
+// Absolute signed URL under the public base URL
+const signedUrl = (baseUrl, pathname, ttl) => `${baseUrl.replace(/\/+$/, '')}${signPath(pathname, ttl)}`;
+
+const hasValidUrlSignature = (req) => {
+  const { expires, signature } = req.query;
+  if (!expires || !signature) return false;
+  if (Number(expires) < Date.now() / 1000) return false;
+  return safeEqual(signature, hmac(urlSecret, `${req.path}\n${expires}`));
+};
+
+// Find the key a request authenticates with, either X-API-Key / Bearer or an HMAC signature:
+//   X-Key-Id, X-Timestamp (unix seconds) and
+//   X-Signature = hex HMAC-SHA256(secret, METHOD\nURL\nTIMESTAMP\nhex SHA-256 of the body)
+// Multipart bodies are not part of the signature; their hash is that of an empty body
+const findRequestKey = (req) => {
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const presented = req.get('x-api-key') || (bearer && bearer[1]);
+  if (presented) {
+    for (const key of apiKeys.values()) {
+      if (safeEqual(presented, key.secret)) return { key };
+    }
+    return { error: 'Invalid API key' };
+  }
+
+  const keyId = req.get('x-key-id');
+  if (!keyId) {
+    return { error: 'Authentication required: send X-API-Key or an HMAC signature' };
+  }
+
+  const key = apiKeys.get(keyId);
+  const timestamp = Number(req.get('x-timestamp'));
+  const signature = req.get('x-signature');
+  if (!key || !signature) {
+    return { error: 'Invalid HMAC credentials' };
+  }
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > MAX_CLOCK_SKEW) {
+    return { error: 'HMAC timestamp missing or outside the allowed clock skew' };
+  }
+
+  const payload = `${req.method}\n${req.originalUrl}\n${timestamp}\n${sha256(req.rawBody || '')}`;
+  if (!safeEqual(signature, hmac(key.secret, payload))) {
+    return { error: 'Invalid HMAC signature' };
+  }
+  return { key };
+};
+
+// Fixed one-minute window per key
+const rateWindows = new Map();
+
+const takeRateLimit = (key) => {
+  const now = Date.now();
+  let window = rateWindows.get(key.id);
+  if (!window || now - window.start >= RATE_WINDOW) {
+    window = { start: now, count: 0 };
+    rateWindows.set(key.id, window);
+  }
+  window.count++;
+  return {
+    allowed: window.count <= key.limit,
+    remaining: Math.max(0, key.limit - window.count),
+    resetAt: window.start + RATE_WINDOW
+  };
+};
+
+// Express middleware: public paths pass, signed file links pass, everything else needs a key
+const authenticate = (req, res, next) => {
+  if (!enabled() || PUBLIC_PATHS.includes(req.path) || hasValidUrlSignature(req)) {
+    return next();
+  }
+
+  const { key, error } = findRequestKey(req);
+  if (!key) {
+    return res.status(401).json({ error });
+  }
+
+  const rate = takeRateLimit(key);
+  res.set({
+    'X-RateLimit-Limit': String(key.limit),
+    'X-RateLimit-Remaining': String(rate.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000))
+  });
+  if (!rate.allowed) {
+    res.set('Retry-After', String(Math.ceil((rate.resetAt - Date.now()) / 1000)));
+    return res.status(429).json({ error: `Rate limit of ${key.limit} requests per minute exceeded` });
+  }
+
+  req.apiKey = key.id;
+  next();
+};
+
+// Express middleware for /admin routes: only the configured admin key IDs, or any key when none are configured
+const requireAdmin = (req, res, next) => {
+  const adminKeys = config.auth.adminKeys;
+  if (!enabled() || adminKeys.length === 0 || adminKeys.includes(req.apiKey)) {
+    return next();
+  }
+  res.status(403).json({ error: 'This route needs an admin API key' });
+};
+
+// express.json/urlencoded `verify` hook that keeps the raw body for HMAC checks
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+
+module.exports = {
+  enabled,
+  signPath,
+  signedUrl,
+  authenticate,
+  requireAdmin,
+  keepRawBody
+};
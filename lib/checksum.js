@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const fsSync = require('fs');
+const HttpError = require('./http-error');
+
+const ALGORITHMS = ['sha256', 'sha1', 'md5'];
+
+// A bare hex digest is told apart by its length
+const HEX_LENGTHS = { 64: 'sha256', 40: 'sha1', 32: 'md5' };
+
+// Hex digests of a file in one read: hashFile(path, ['sha256', 'md5']) -> { sha256, md5 }
+const hashFile = (filePath, algorithms = ['sha256']) => new Promise((resolve, reject) => {
+  const hashes = algorithms.map(algorithm => crypto.createHash(algorithm));
+  fsSync.createReadStream(filePath)
+    .on('data', chunk => hashes.forEach(hash => hash.update(chunk)))
+    .on('end', () => {
+      const digests = {};
+      algorithms.forEach((algorithm, i) => {
+        digests[algorithm] = hashes[i].digest('hex');
+      });
+      resolve(digests);
+    })
+    .on('error', reject);
+});
+
+// Parse "sha256:<hex>", "md5:<hex>" or a bare hex digest into { algorithm, digest }
+const parseChecksum = (value) => {
+  const match = typeof value === 'string' && value.trim().match(/^(?:([a-z0-9]+):)?([0-9a-f]+)$/i);
+  const algorithm = match && (match[1] ? match[1].toLowerCase() : HEX_LENGTHS[match[2].length]);
+  if (!match || !ALGORITHMS.includes(algorithm)) {
+    throw new Error(`checksum must be "<algorithm>:<hex digest>" with algorithm ${ALGORITHMS.join(', ')}`);
+  }
+  const digest = match[2].toLowerCase();
+  const expectedLength = Object.keys(HEX_LENGTHS).find(length => HEX_LENGTHS[length] === algorithm);
+  if (digest.length !== Number(expectedLength)) {
+    throw new Error(`A ${algorithm} checksum has ${expectedLength} hex digits, got ${digest.length}`);
+  }
+  return { algorithm, digest };
+};
+
+// Reject (422) a file whose digest is not the expected one
+const verifyChecksum = async (filePath, checksum, label = 'input') => {
+  const { algorithm, digest } = typeof checksum === 'string' ? parseChecksum(checksum) : checksum;
+  const actual = (await hashFile(filePath, [algorithm]))[algorithm];
+  if (actual !== digest) {
+    throw new HttpError(422, `The ${label} file failed checksum verification: expected ${algorithm} ${digest}, got ${actual}`);
+  }
+  return { algorithm, digest };
+};
+
+module.exports = {
+  hashFile,
+  parseChecksum,
+  verifyChecksum
+};
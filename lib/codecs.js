@@ -0,0 +1,16 @@
+// Video codecs compressVideo can encode with, all software encoders
+// cpu-used style encoders take the preset as a speed number (see PRESETS)
+const CODECS = {
+  h264: { encoder: 'libx264', container: 'mp4', audioCodec: 'aac', defaultCrf: 23, maxCrf: 51 },
+  h265: { encoder: 'libx265', container: 'mp4', audioCodec: 'aac', defaultCrf: 28, maxCrf: 51 },
+  vp9: { encoder: 'libvpx-vp9', container: 'webm', audioCodec: 'libopus', defaultCrf: 32, maxCrf: 63 },
+  av1: { encoder: 'libaom-av1', container: 'mp4', audioCodec: 'aac', defaultCrf: 32, maxCrf: 63 }
+};
+
+// x264/x265 preset names, fastest first; VP9 and AV1 get the matching -cpu-used (8 for ultrafast, 0 for veryslow)
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+module.exports = {
+  CODECS,
+  PRESETS
+};
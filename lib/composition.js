@@ -0,0 +1,183 @@
+const { buildReframeFilter } = require('./profiles');
+
+// Transitions between intro, video and outro; "dissolve" and "fade" are the common ones, the rest are xfade's own
+const TRANSITIONS = [
+  'none', 'fade', 'dissolve', 'fadeblack', 'fadewhite', 'wipeleft', 'wiperight',
+  'slideleft', 'slideright', 'circleopen', 'circleclose', 'smoothleft', 'smoothright'
+];
+
+// What a card's source holds; without a type the source's file name decides
+const CARD_TYPES = ['image', 'clip'];
+
+const MAX_CARD_DURATION = 30;
+const MAX_ZOOM = 2;
+const AUDIO_FORMAT = 'aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo';
+
+// Container formats ffprobe reports for still images
+const isStillImage = (probe) => {
+  return /(^|,)(image2|png_pipe|jpeg_pipe|webp_pipe|bmp_pipe|tiff_pipe)(,|$)/.test(probe.container.format || '') ||
+    !probe.duration;
+};
+
+// Check an intro/outro card: { source, type, duration, kenBurns, transition: { type, duration } }
+const normalizeCard = (card, label) => {
+  if (!card || typeof card !== 'object' || Array.isArray(card) || !card.source) {
+    throw new Error(`${label} must be an object with a source`);
+  }
+
+  const duration = card.duration === undefined ? null : Number(card.duration);
+  if (duration !== null && !(duration > 0 && duration <= MAX_CARD_DURATION)) {
+    throw new Error(`${label}.duration must be between 0 and ${MAX_CARD_DURATION} seconds`);
+  }
+
+  let kenBurns = null;
+  if (card.kenBurns) {
+    const zoom = card.kenBurns === true ? 1.15 : Number(card.kenBurns.zoom ?? 1.15);
+    if (!(zoom > 1 && zoom <= MAX_ZOOM)) {
+      throw new Error(`${label}.kenBurns.zoom must be above 1 and at most ${MAX_ZOOM}`);
+    }
+    kenBurns = { zoom };
+  }
+
+  if (card.type !== undefined && !CARD_TYPES.includes(card.type)) {
+    throw new Error(`${label}.type must be one of: ${CARD_TYPES.join(', ')}`);
+  }
+
+  return {
+    source: card.source,
+    type: card.type || null,
+    duration,
+    kenBurns,
+    transition: normalizeTransition(card.transition, label)
+  };
+};
+
+// { type, duration } of the transition into or out of a card; none is a hard cut
+const normalizeTransition = (transition = {}, label) => {
+  if (typeof transition !== 'object' || transition === null) {
+    throw new Error(`${label}.transition must be an object`);
+  }
+  const { type = 'fade', duration = 0.5 } = transition;
+  if (!TRANSITIONS.includes(type)) {
+    throw new Error(`${label}.transition.type must be one of: ${TRANSITIONS.join(', ')}`);
+  }
+  if (!(Number(duration) >= 0 && Number(duration) <= 5)) {
+    throw new Error(`${label}.transition.duration must be between 0 and 5 seconds`);
+  }
+  return { type: Number(duration) > 0 ? type : 'none', duration: type === 'none' ? 0 : Number(duration) };
+};
+
+// Check intro music: a source, or { source, volume, duration, fadeOut }
+const normalizeMusic = (music, label) => {
+  const options = typeof music === 'object' && music !== null && !Array.isArray(music) && music.source
+    ? music
+    : { source: music };
+  const { source, volume = 1, duration = null, fadeOut = 0.5 } = options;
+
+  if (!(Number(volume) >= 0 && Number(volume) <= 4)) {
+    throw new Error(`${label}.volume must be between 0 and 4`);
+  }
+  if (duration !== null && !(Number(duration) > 0)) {
+    throw new Error(`${label}.duration must be greater than 0`);
+  }
+  if (!(Number(fadeOut) >= 0)) {
+    throw new Error(`${label}.fadeOut must be 0 or more seconds`);
+  }
+  return { source, volume: Number(volume), duration: duration === null ? null : Number(duration), fadeOut: Number(fadeOut) };
+};
+
+// Scale/pad (or reframe to the output profile) a segment's video to the output frame, with a common timebase for xfade
+// frame: { width, height, fps, profile }
+const segmentVideoFilter = (segment, frame, output) => {
+  const { width: w, height: h, fps } = frame;
+  const input = `[${segment.input}:v]`;
+  const trim = segment.kind === 'main' ? '' : `trim=duration=${segment.duration.toFixed(3)},`;
+
+  if (segment.kenBurns) {
+    // Oversample before zoompan so the slow zoom does not jitter
+    const frames = Math.max(1, Math.round(segment.duration * fps));
+    const step = ((segment.kenBurns.zoom - 1) / frames).toFixed(6);
+    return `${input}scale=${w * 2}:${h * 2}:force_original_aspect_ratio=increase,crop=${w * 2}:${h * 2},` +
+      `zoompan=z='min(zoom+${step},${segment.kenBurns.zoom})':d=${frames}:x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':s=${w}x${h}:fps=${fps},` +
+      `setsar=1,format=yuv420p,settb=AVTB,setpts=PTS-STARTPTS${output}`;
+  }
+
+  const id = output.replace(/[[\]]/g, '');
+  const fit = frame.profile
+    ? buildReframeFilter(input, `[${id}fit]`, frame.profile)
+    : `${input}scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:black,setsar=1,fps=${fps}[${id}fit]`;
+  return `${fit};[${id}fit]${trim}format=yuv420p,settb=AVTB,setpts=PTS-STARTPTS${output}`;
+};
+
+// A segment's own audio, or generated silence of its length when it has none
+const segmentAudioFilter = (segment, output) => {
+  if (!segment.hasAudio) {
+    return `anullsrc=r=48000:cl=stereo,atrim=duration=${segment.duration.toFixed(3)},${AUDIO_FORMAT}${output}`;
+  }
+  const trim = segment.kind === 'main' ? '' : `atrim=duration=${segment.duration.toFixed(3)},`;
+  // apad + atrim keeps clips whose audio is shorter than their picture in sync
+  return `[${segment.input}:a]${trim}${AUDIO_FORMAT},apad,atrim=duration=${segment.duration.toFixed(3)},asetpts=PTS-STARTPTS${output}`;
+};
+
+// Build the filter graph joining segments (intro, main video, outro) with cuts or xfade transitions
+// Each segment: { input, kind, duration, hasAudio, kenBurns, transitionIn: { type, duration } }
+// Output pads are [outv] and [outa]; returns the graph and the total duration
+const buildComposition = ({ segments, frame, music = null }) => {
+  const filters = [];
+
+  segments.forEach((segment, i) => {
+    filters.push(segmentVideoFilter(segment, frame, `[sv${i}]`));
+    filters.push(segmentAudioFilter(segment, `[sa${i}]`));
+  });
+
+  let video = '[sv0]';
+  let audio = '[sa0]';
+  let total = segments[0].duration;
+
+  for (let i = 1; i < segments.length; i++) {
+    const { transitionIn } = segments[i];
+    const last = i === segments.length - 1;
+    const videoOut = last && !music ? '[outv]' : `[cv${i}]`;
+    const audioOut = last && !music ? '[outa]' : `[ca${i}]`;
+
+    // A transition cannot be longer than either side of it
+    const length = Math.min(transitionIn.duration, total, segments[i].duration) * 0.99;
+    if (transitionIn.type !== 'none' && length > 0) {
+      const offset = total - length;
+      filters.push(`${video}[sv${i}]xfade=transition=${transitionIn.type}:duration=${length.toFixed(3)}:offset=${offset.toFixed(3)}${videoOut}`);
+      filters.push(`${audio}[sa${i}]acrossfade=d=${length.toFixed(3)}${audioOut}`);
+      total += segments[i].duration - length;
+    } else {
+      filters.push(`${video}${audio}[sv${i}][sa${i}]concat=n=2:v=1:a=1${videoOut}${audioOut}`);
+      total += segments[i].duration;
+    }
+    video = videoOut;
+    audio = audioOut;
+  }
+
+  if (segments.length === 1 && !music) {
+    filters.push('[sv0]null[outv]', '[sa0]anull[outa]');
+  } else if (music) {
+    // Intro music or a sting plays from the start, over whatever audio is there
+    const length = Math.min(music.duration || total, total);
+    const fadeOut = Math.min(music.fadeOut, length);
+    filters.push(
+      `[${music.input}:a]atrim=duration=${length.toFixed(3)},${AUDIO_FORMAT},volume=${music.volume}` +
+      (fadeOut > 0 ? `,afade=t=out:st=${(length - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}` : '') +
+      '[music]'
+    );
+    filters.push(`${video}null[outv]`);
+    filters.push(`${audio}[music]amix=inputs=2:duration=first:normalize=0[outa]`);
+  }
+
+  return { filter: filters.join(';'), duration: total };
+};
+
+module.exports = {
+  TRANSITIONS,
+  isStillImage,
+  normalizeCard,
+  normalizeTransition,
+  normalizeMusic,
+  buildComposition
+};
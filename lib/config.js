@@ -0,0 +1,270 @@
+const fsSync = require('fs');
+const YAML = require('yaml');
+const { parseSize, parseDuration } = require('./units');
+const { CODECS, PRESETS } = require('./codecs');
+const { STYLE_PRESETS } = require('./subtitle-styles');
+
+// Every setting the server reads, by section. Values come from the defaults here, then the optional
+// CONFIG_FILE (JSON or YAML), then the environment variable named by `env`.
+// Types: integer, number, boolean, string, enum (`values`), size (bytes, "2GB"), duration (ms, "90s"),
+// list (array, or comma separated in the environment). `nullable` allows null/empty; `secret` is redacted.
+const SCHEMA = {
+  server: {
+    port: { type: 'integer', env: 'PORT', default: 3001, min: 1, max: 65535 },
+    // Where clients outside this host reach the server; defaults to http://localhost:<port>
+    publicBaseUrl: { type: 'string', env: 'PUBLIC_BASE_URL', default: null, nullable: true, pattern: /^https?:\/\// },
+    jsonBodyLimit: { type: 'size', env: 'JSON_BODY_LIMIT', default: 15 * 1024 * 1024, min: 1024 }
+  },
+  paths: {
+    temp: { type: 'string', env: 'TEMP_DIR', default: 'temp' }
+  },
+  logging: {
+    level: { type: 'enum', env: 'LOG_LEVEL', default: 'info', values: ['debug', 'info', 'warn', 'error'] },
+    format: { type: 'enum', env: 'LOG_FORMAT', default: 'json', values: ['json', 'text'] }
+  },
+  auth: {
+    // "id:secret[:requestsPerMinute],..."; empty turns authentication off
+    apiKeys: { type: 'string', env: 'API_KEYS', default: null, nullable: true, secret: true },
+    // Key IDs allowed on /admin routes; empty means every key
+    adminKeys: { type: 'list', env: 'ADMIN_API_KEYS', default: [] },
+    urlSigningSecret: { type: 'string', env: 'URL_SIGNING_SECRET', default: null, nullable: true, secret: true },
+    signedUrlTtl: { type: 'integer', env: 'SIGNED_URL_TTL', default: 60 * 60, min: 60 },
+    rateLimitPerMinute: { type: 'integer', env: 'RATE_LIMIT_PER_MINUTE', default: 60, min: 1 }
+  },
+  storage: {
+    jobTtl: { type: 'duration', env: 'STORAGE_JOB_TTL_MS', default: 6 * 60 * 60 * 1000, min: 60 * 1000 },
+    orphanTtl: { type: 'duration', env: 'STORAGE_ORPHAN_TTL_MS', default: 60 * 60 * 1000, min: 60 * 1000 },
+    quotaBytes: { type: 'size', env: 'STORAGE_QUOTA_BYTES', default: 10 * 1024 ** 3, min: 1024 ** 2 },
+    minFreeBytes: { type: 'size', env: 'STORAGE_MIN_FREE_BYTES', default: 1024 ** 3, min: 0 },
+    reapInterval: { type: 'duration', env: 'STORAGE_REAP_INTERVAL_MS', default: 10 * 60 * 1000, min: 10 * 1000 }
+  },
+  limits: {
+    maxInputBytes: { type: 'size', env: 'MAX_INPUT_BYTES', default: 2 * 1024 ** 3, min: 1024 ** 2 },
+    // Seconds
+    maxInputDuration: { type: 'number', env: 'MAX_INPUT_DURATION', default: 3 * 60 * 60, min: 1 },
+    maxBase64Bytes: { type: 'size', env: 'MAX_BASE64_BYTES', default: 10 * 1024 ** 2, min: 1024 }
+  },
+  ffmpeg: {
+    path: { type: 'string', env: 'FFMPEG_PATH', default: 'ffmpeg' },
+    ffprobePath: { type: 'string', env: 'FFPROBE_PATH', default: 'ffprobe' },
+    maxConcurrency: { type: 'integer', env: 'FFMPEG_MAX_CONCURRENCY', default: 1, min: 1, max: 64 },
+    // Threads per process; null shares the cores out between maxConcurrency processes, 0 leaves it to ffmpeg
+    threads: { type: 'integer', env: 'FFMPEG_THREADS', default: null, nullable: true, min: 0, max: 256 },
+    // Runs that re-encode a whole video (cut, final render, compress) get longTimeout
+    timeout: { type: 'duration', env: 'FFMPEG_TIMEOUT_MS', default: 10 * 60 * 1000, min: 1000 },
+    longTimeout: { type: 'duration', env: 'FFMPEG_LONG_TIMEOUT_MS', default: 60 * 60 * 1000, min: 1000 }
+  },
+  timeouts: {
+    download: { type: 'duration', env: 'DOWNLOAD_TIMEOUT_MS', default: 90 * 1000, min: 1000 },
+    callback: { type: 'duration', env: 'CALLBACK_TIMEOUT_MS', default: 10 * 1000, min: 1000 },
+    upload: { type: 'duration', env: 'UPLOAD_TIMEOUT_MS', default: 10 * 60 * 1000, min: 1000 },
+    transcriptionApi: { type: 'duration', env: 'TRANSCRIBE_API_TIMEOUT_MS', default: 15 * 60 * 1000, min: 1000 },
+    whisper: { type: 'duration', env: 'WHISPER_TIMEOUT_MS', default: 60 * 60 * 1000, min: 1000 }
+  },
+  fetch: {
+    retries: { type: 'integer', env: 'FETCH_RETRIES', default: 3, min: 0, max: 10 },
+    retryDelay: { type: 'duration', env: 'FETCH_RETRY_DELAY_MS', default: 1000, min: 0, max: 60 * 1000 }
+  },
+  transcription: {
+    provider: { type: 'enum', env: 'TRANSCRIBE_PROVIDER', default: null, nullable: true, values: ['whisper-cpp', 'openai'] },
+    apiUrl: { type: 'string', env: 'TRANSCRIBE_API_URL', default: null, nullable: true, pattern: /^https?:\/\// },
+    apiKey: { type: 'string', env: 'TRANSCRIBE_API_KEY', default: null, nullable: true, secret: true },
+    model: { type: 'string', env: 'TRANSCRIBE_MODEL', default: null, nullable: true },
+    whisperBin: { type: 'string', env: 'WHISPER_CPP_BIN', default: 'whisper-cli' },
+    whisperModel: { type: 'string', env: 'WHISPER_CPP_MODEL', default: null, nullable: true }
+  },
+  s3: {
+    endpoint: { type: 'string', env: 'S3_ENDPOINT', default: null, nullable: true, pattern: /^https?:\/\// },
+    region: { type: 'string', env: 'S3_REGION', default: 'us-east-1' },
+    accessKeyId: { type: 'string', env: 'S3_ACCESS_KEY_ID', default: null, nullable: true },
+    secretAccessKey: { type: 'string', env: 'S3_SECRET_ACCESS_KEY', default: null, nullable: true, secret: true }
+  },
+  processing: {
+    allowRawFilterComplex: { type: 'boolean', env: 'ALLOW_RAW_FILTER_COMPLEX', default: false }
+  },
+  // Defaults requests may override, and the bounds they may override them within
+  encoding: {
+    codec: { type: 'enum', env: 'ENCODE_CODEC', default: 'h264', values: Object.keys(CODECS) },
+    preset: { type: 'enum', env: 'ENCODE_PRESET', default: 'medium', values: PRESETS },
+    // Requests cannot ask for a slower (more CPU hungry) preset than this
+    slowestPreset: { type: 'enum', env: 'ENCODE_SLOWEST_PRESET', default: 'veryslow', values: PRESETS },
+    // null uses the codec's own default
+    crf: { type: 'integer', env: 'ENCODE_CRF', default: null, nullable: true, min: 0, max: 63 },
+    // Requests cannot ask for a lower CRF (bigger, slower files) than this
+    minCrf: { type: 'integer', env: 'ENCODE_MIN_CRF', default: 0, min: 0, max: 63 },
+    audioBitrate: { type: 'string', env: 'ENCODE_AUDIO_BITRATE', default: '96k', pattern: /^\d+(\.\d+)?[kKmM]?$/ },
+    // Ingest compression caps; /compress encodes without them unless asked
+    maxrate: { type: 'string', env: 'ENCODE_MAXRATE', default: '3M', nullable: true, pattern: /^\d+(\.\d+)?[kKmM]?$/ },
+    bufsize: { type: 'string', env: 'ENCODE_BUFSIZE', default: '6M', nullable: true, pattern: /^\d+(\.\d+)?[kKmM]?$/ },
+    maxWidth: { type: 'integer', env: 'ENCODE_MAX_WIDTH', default: 1280, nullable: true, min: 16, max: 7680 },
+    maxHeight: { type: 'integer', env: 'ENCODE_MAX_HEIGHT', default: 720, nullable: true, min: 16, max: 7680 }
+  },
+  mix: {
+    voiceVolume: { type: 'number', env: 'MIX_VOICE_VOLUME', default: 0.8, min: 0 },
+    musicVolume: { type: 'number', env: 'MIX_MUSIC_VOLUME', default: 0.2, min: 0 },
+    // Highest voiceVolume/musicVolume a request may ask for
+    maxVolume: { type: 'number', env: 'MIX_MAX_VOLUME', default: 4, min: 0.1, max: 20 }
+  },
+  subtitles: {
+    style: { type: 'enum', env: 'SUBTITLE_STYLE', default: 'default', values: Object.keys(STYLE_PRESETS) },
+    // Largest fontSize a request may ask for, in libass script units
+    maxFontSize: { type: 'number', env: 'SUBTITLE_MAX_FONT_SIZE', default: 100, min: 1 }
+  }
+};
+
+// Rules between settings, checked once every value has been read
+const CHECKS = [
+  (config) => config.mix.voiceVolume <= config.mix.maxVolume || 'mix.voiceVolume is above mix.maxVolume',
+  (config) => config.mix.musicVolume <= config.mix.maxVolume || 'mix.musicVolume is above mix.maxVolume',
+  (config) => config.encoding.crf === null || config.encoding.crf >= config.encoding.minCrf || 'encoding.crf is below encoding.minCrf',
+  (config) => config.encoding.crf === null || config.encoding.crf <= CODECS[config.encoding.codec].maxCrf ||
+    `encoding.crf is above ${CODECS[config.encoding.codec].maxCrf}, the highest ${config.encoding.codec} allows`,
+  (config) => PRESETS.indexOf(config.encoding.preset) <= PRESETS.indexOf(config.encoding.slowestPreset) ||
+    'encoding.preset is slower than encoding.slowestPreset',
+  (config) => config.ffmpeg.timeout <= config.ffmpeg.longTimeout || 'ffmpeg.timeout must not be above ffmpeg.longTimeout'
+];
+
+const REDACTED = '[redacted]';
+
+const readConfigFile = (filePath) => {
+  const text = fsSync.readFileSync(filePath, 'utf8');
+  const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('the file must hold an object of sections');
+  }
+  return parsed;
+};
+
+// Turn a value from the file or the environment into the setting's type, or throw why it cannot be
+const coerce = (spec, value) => {
+  if (value === null || value === '') {
+    if (spec.nullable) return null;
+    throw new Error('is required');
+  }
+
+  let result;
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      result = Number(value);
+      if (!Number.isFinite(result) || (spec.type === 'integer' && !Number.isInteger(result))) {
+        throw new Error(`must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}`);
+      }
+      break;
+    case 'size':
+      result = parseSize(value);
+      if (!Number.isFinite(result)) throw new Error('must be a size in bytes or like 500MB / 2GB');
+      break;
+    case 'duration':
+      result = parseDuration(value);
+      if (!Number.isFinite(result)) throw new Error('must be milliseconds or a duration like 90s / 10m / 1h');
+      break;
+    case 'boolean':
+      if (value === true || value === 'true' || value === '1') result = true;
+      else if (value === false || value === 'false' || value === '0') result = false;
+      else throw new Error('must be true or false');
+      break;
+    case 'list':
+      result = Array.isArray(value) ? value.map(String) : String(value).split(',').map(item => item.trim()).filter(Boolean);
+      break;
+    case 'enum':
+      if (!spec.values.includes(value)) throw new Error(`must be one of: ${spec.values.join(', ')}`);
+      result = value;
+      break;
+    default:
+      if (typeof value === 'object') throw new Error('must be a string');
+      result = String(value);
+      if (spec.pattern && !spec.pattern.test(result)) throw new Error(`does not match ${spec.pattern}`);
+  }
+
+  if (spec.min !== undefined && result < spec.min) throw new Error(`must be at least ${spec.min}`);
+  if (spec.max !== undefined && result > spec.max) throw new Error(`must be at most ${spec.max}`);
+  return result;
+};
+
+// Read every setting from defaults, file and environment; throws one error listing every problem
+const load = (env = process.env) => {
+  const errors = [];
+  const values = {};
+  const sources = {};
+  const filePath = env.CONFIG_FILE || null;
+
+  let file = {};
+  if (filePath) {
+    try {
+      file = readConfigFile(filePath);
+    } catch (error) {
+      errors.push(`CONFIG_FILE ${filePath}: ${error.message}`);
+    }
+    Object.entries(file).forEach(([section, entries]) => {
+      if (!SCHEMA[section]) {
+        errors.push(`${section}: unknown section in ${filePath}`);
+      } else if (entries && typeof entries === 'object') {
+        Object.keys(entries).filter(key => !SCHEMA[section][key]).forEach((key) => {
+          errors.push(`${section}.${key}: unknown setting in ${filePath}`);
+        });
+      }
+    });
+  }
+
+  Object.entries(SCHEMA).forEach(([section, specs]) => {
+    values[section] = {};
+    Object.entries(specs).forEach(([key, spec]) => {
+      const name = `${section}.${key}`;
+      const fileSection = file[section] && typeof file[section] === 'object' ? file[section] : {};
+      values[section][key] = spec.default;
+      sources[name] = 'default';
+
+      const apply = (raw, source) => {
+        try {
+          values[section][key] = coerce(spec, raw);
+          sources[name] = source;
+        } catch (error) {
+          errors.push(`${name} (from ${source}) ${error.message}`);
+        }
+      };
+      if (Object.prototype.hasOwnProperty.call(fileSection, key)) {
+        apply(fileSection[key], 'file');
+      }
+      if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+        apply(env[spec.env], `env ${spec.env}`);
+      }
+    });
+  });
+
+  if (errors.length === 0) {
+    CHECKS.forEach((check) => {
+      const result = check(values);
+      if (result !== true) errors.push(result);
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  }
+  return { values, sources, file: filePath };
+};
+
+const { values, sources, file } = load();
+
+// The effective configuration for the admin route: secrets redacted, and where each value came from
+const describe = () => {
+  const redacted = {};
+  Object.entries(SCHEMA).forEach(([section, specs]) => {
+    redacted[section] = {};
+    Object.entries(specs).forEach(([key, spec]) => {
+      const value = values[section][key];
+      redacted[section][key] = spec.secret && value ? REDACTED : value;
+    });
+  });
+  return { file, config: redacted, sources };
+};
+
+// Settings as config.<section>.<key>; they are read once at startup and do not change
+Object.values(values).forEach(Object.freeze);
+
+module.exports = {
+  ...values,
+  describe,
+  load
+};
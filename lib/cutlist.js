@@ -0,0 +1,208 @@
+// A range may run this far past the probed duration (container rounding) before it is rejected
+const DURATION_TOLERANCE = 0.1;
+
+// Longest transition allowed at a cut, in seconds
+const MAX_TRANSITION = 2;
+
+// Parse seconds (12.5, "12.5") or a timecode ("MM:SS", "HH:MM:SS", with .mmm or ,mmm) into seconds
+const parseTime = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return NaN;
+  }
+
+  const text = value.trim().replace(',', '.');
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  const match = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  if (!match || Number(match[2]) >= 60 || Number(match[3]) >= 60) {
+    return NaN;
+  }
+  return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+};
+
+// Check and sort ranges of { start, end } (seconds or timecodes); with a duration, also check they fit in the media
+const normalizeRanges = (ranges, label, duration = null) => {
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    throw new Error(`${label} must be a non-empty array of { start, end }`);
+  }
+
+  const normalized = ranges.map((range, index) => {
+    const start = parseTime(range && range.start);
+    let end = parseTime(range && range.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      throw new Error(`${label}[${index}] must have 0 <= start < end (seconds or HH:MM:SS.mmm)`);
+    }
+    if (duration) {
+      if (start >= duration || end > duration + DURATION_TOLERANCE) {
+        throw new Error(`${label}[${index}] (${start}-${end}s) is outside the media duration of ${duration.toFixed(3)}s`);
+      }
+      end = Math.min(end, duration);
+    }
+    return { start, end };
+  });
+
+  normalized.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].start < normalized[i - 1].end) {
+      throw new Error(`${label} must not overlap`);
+    }
+  }
+
+  return normalized;
+};
+
+// Check that keep ranges are well-formed, returning them sorted by start time
+const normalizeKeepRanges = (ranges, duration = null) => normalizeRanges(ranges, 'keepRanges', duration);
+
+// Turn a list of ranges to remove into the ranges to keep
+const invertRanges = (removeRanges, duration) => {
+  const keep = [];
+  let position = 0;
+
+  removeRanges.forEach(({ start, end }) => {
+    if (start > position) {
+      keep.push({ start: position, end: start });
+    }
+    position = Math.max(position, end);
+  });
+  if (duration > position) {
+    keep.push({ start: position, end: duration });
+  }
+
+  if (keep.length === 0) {
+    throw new Error('cutList removes the whole video');
+  }
+  return keep;
+};
+
+// Keep ranges from a cut list: { keep: [...] } or { remove: [...] }
+// Remove lists need the duration to know where the last kept range ends
+const resolveCutList = (cutList, duration = null) => {
+  if (!cutList || typeof cutList !== 'object' || Array.isArray(cutList)) {
+    throw new Error('cutList must be an object with a keep or remove array');
+  }
+  if (!!cutList.keep === !!cutList.remove) {
+    throw new Error('cutList needs exactly one of keep or remove');
+  }
+
+  if (cutList.keep) {
+    return normalizeRanges(cutList.keep, 'cutList.keep', duration);
+  }
+
+  const removeRanges = normalizeRanges(cutList.remove, 'cutList.remove', duration);
+  return duration ? invertRanges(removeRanges, duration) : removeRanges;
+};
+
+// Check transition settings: { audioCrossfade, videoFade } in seconds, 0 or missing for none
+const normalizeTransitions = (transitions = {}) => {
+  if (typeof transitions !== 'object' || transitions === null || Array.isArray(transitions)) {
+    throw new Error('transitions must be an object');
+  }
+
+  const result = {};
+  ['audioCrossfade', 'videoFade'].forEach((key) => {
+    const value = transitions[key] === undefined ? 0 : Number(transitions[key]);
+    if (!Number.isFinite(value) || value < 0 || value > MAX_TRANSITION) {
+      throw new Error(`transitions.${key} must be between 0 and ${MAX_TRANSITION} seconds`);
+    }
+    result[key] = value;
+  });
+  return result;
+};
+
+// Build a trim/atrim/concat filter graph that keeps only the given ranges
+// Output pads are [outv] and [outa], matching what /process-video maps
+//
+// audioCrossfade overlaps the audio at each cut: every segment but the last keeps that much
+// extra audio past its end, which acrossfade then overlaps with the next, so audio and video
+// stay the same length. videoFade dips the picture to black and back over that many seconds.
+// Both are capped at half the shortest segment; the values actually used are returned.
+const buildCutFilter = (keepRanges, options = {}) => {
+  const { duration = null } = options;
+  const ranges = normalizeKeepRanges(keepRanges, duration);
+  const shortest = Math.min(...ranges.map(({ start, end }) => end - start));
+  const cap = (value) => (ranges.length > 1 ? Math.min(value || 0, shortest / 2) : 0);
+  const audioCrossfade = cap(options.audioCrossfade);
+  const videoFade = cap(options.videoFade);
+
+  const filters = [];
+  const videoInputs = [];
+
+  ranges.forEach(({ start, end }, i) => {
+    const from = start.toFixed(3);
+    const to = end.toFixed(3);
+    const length = end - start;
+    const isLast = i === ranges.length - 1;
+
+    let video = `[0:v]trim=start=${from}:end=${to},setpts=PTS-STARTPTS`;
+    if (videoFade > 0 && i > 0) {
+      video += `,fade=t=in:st=0:d=${videoFade.toFixed(3)}`;
+    }
+    if (videoFade > 0 && !isLast) {
+      video += `,fade=t=out:st=${(length - videoFade).toFixed(3)}:d=${videoFade.toFixed(3)}`;
+    }
+    filters.push(`${video}[v${i}]`);
+    videoInputs.push(`[v${i}]`);
+
+    const audioEnd = audioCrossfade > 0 && !isLast
+      ? Math.min(end + audioCrossfade, duration || Infinity)
+      : end;
+    filters.push(`[0:a]atrim=start=${from}:end=${audioEnd.toFixed(3)},asetpts=PTS-STARTPTS[a${i}]`);
+  });
+
+  filters.push(`${videoInputs.join('')}concat=n=${ranges.length}:v=1:a=0[outv]`);
+
+  if (audioCrossfade > 0) {
+    let previous = '[a0]';
+    for (let i = 1; i < ranges.length; i++) {
+      const output = i === ranges.length - 1 ? '[outa]' : `[ax${i}]`;
+      filters.push(`${previous}[a${i}]acrossfade=d=${audioCrossfade.toFixed(3)}:c1=tri:c2=tri${output}`);
+      previous = output;
+    }
+  } else {
+    filters.push(`${ranges.map((range, i) => `[a${i}]`).join('')}concat=n=${ranges.length}:v=0:a=1[outa]`);
+  }
+
+  return {
+    filter: filters.join(';'),
+    keepRanges: ranges,
+    transitions: { audioCrossfade, videoFade }
+  };
+};
+
+// Edit decision list: where each kept source range lands in the output
+const buildEdl = (keepRanges) => {
+  let position = 0;
+  return normalizeKeepRanges(keepRanges).map(({ start, end }, index) => {
+    const entry = {
+      index,
+      sourceStart: start,
+      sourceEnd: end,
+      outputStart: position,
+      outputEnd: position + (end - start)
+    };
+    position = entry.outputEnd;
+    return entry;
+  });
+};
+
+// Map a source timestamp to its output timestamp, or null when it was cut out
+const mapTime = (edl, time) => {
+  const entry = edl.find(({ sourceStart, sourceEnd }) => time >= sourceStart && time <= sourceEnd);
+  return entry ? entry.outputStart + (time - entry.sourceStart) : null;
+};
+
+module.exports = {
+  parseTime,
+  normalizeKeepRanges,
+  resolveCutList,
+  normalizeTransitions,
+  buildCutFilter,
+  buildEdl,
+  mapTime
+};
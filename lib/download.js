@@ -0,0 +1,295 @@
+const fsSync = require('fs');
+const axios = require('axios');
+const config = require('./config');
+const log = require('./logger');
+const HttpError = require('./http-error');
+const { checkMediaFile } = require('./sniff');
+const { verifyChecksum } = require('./checksum');
+
+const PROGRESS_INTERVAL = 500;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Errors another attempt will not fix (too big, wrong type, 404) say so; everything else
+// (network errors, timeouts, 408/429/5xx, cut-off bodies) is worth retrying
+const finalError = (status, message) => Object.assign(new HttpError(status, message), { retryable: false });
+
+const isRetryable = (error) => {
+  if (error.retryable !== undefined) return error.retryable;
+  const status = error.response && error.response.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+// Exponential backoff, or what the server asked for with Retry-After (seconds)
+const retryDelay = (error, attempt) => {
+  const retryAfter = error.response && Number(error.response.headers['retry-after']);
+  const delay = retryAfter > 0 ? retryAfter * 1000 : config.fetch.retryDelay * 2 ** (attempt - 1);
+  return Math.min(delay, MAX_RETRY_DELAY);
+};
+
+const fileSize = (filePath) => (fsSync.existsSync(filePath) ? fsSync.statSync(filePath).size : 0);
+
+const removePartial = (filePath) => {
+  if (fsSync.existsSync(filePath)) fsSync.unlinkSync(filePath);
+};
+
+// "bytes 100-199/1000" -> { start: 100, total: 1000 }
+const parseContentRange = (value) => {
+  const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(value || '');
+  return match ? { start: Number(match[1]), total: match[2] === '*' ? null : Number(match[2]) } : null;
+};
+
+// One GET of the URL into the file, continuing from `offset` when the server honours Range.
+// Reports { phase: 'download', bytes, totalBytes, percent } counting the bytes already on disk
+const fetchOnce = async (url, filePath, offset, state, options) => {
+  const { headers, signHeaders, timeout, maxBytes, label, onProgress } = options;
+  const requestHeaders = offset > 0 ? { ...headers, Range: `bytes=${offset}-` } : { ...headers };
+
+  const response = await axios({
+    method: 'GET',
+    url: url,
+    headers: signHeaders ? signHeaders(requestHeaders) : requestHeaders,
+    responseType: 'stream',
+    maxRedirects: 5,
+    timeout: timeout
+  });
+
+  const range = response.status === 206 ? parseContentRange(response.headers['content-range']) : null;
+  const resumed = offset > 0 && range !== null && range.start === offset;
+  const contentLength = parseInt(response.headers['content-length'], 10) || null;
+  const startBytes = resumed ? offset : 0;
+  const totalBytes = resumed ? range.total : contentLength;
+  state.acceptsRanges = resumed || response.headers['accept-ranges'] === 'bytes';
+  if (offset > 0 && !resumed) {
+    log.debug('Server ignored the Range request, downloading from the start', { label });
+  }
+
+  const contentType = response.headers['content-type'];
+  if (contentType && contentType.includes('text/html')) {
+    response.data.destroy();
+    // Drive serves these instead of large files; downloadGoogleDriveFile then tries its next URL
+    throw Object.assign(finalError(422, `Received HTML page instead of media from ${new URL(url).host}`), { htmlPage: true });
+  }
+  if (totalBytes && totalBytes > maxBytes) {
+    response.data.destroy();
+    throw finalError(422, `The ${label} file is ${totalBytes} bytes, more than the ${maxBytes} byte limit`);
+  }
+
+  const writer = fsSync.createWriteStream(filePath, { flags: resumed ? 'a' : 'w' });
+  let bytes = startBytes;
+  let lastReport = 0;
+  const report = () => onProgress && onProgress({
+    phase: 'download',
+    bytes,
+    totalBytes,
+    percent: totalBytes ? Math.min(100, (bytes / totalBytes) * 100) : null
+  });
+
+  return new Promise((resolve, reject) => {
+    // Let the writer flush and close first, so a retry resumes from what is really on disk
+    const abort = (error) => {
+      response.data.destroy();
+      writer.destroy();
+      if (writer.closed) reject(error);
+      else writer.once('close', () => reject(error));
+    };
+
+    response.data.on('data', (chunk) => {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        abort(finalError(422, `The ${label} file is more than the ${maxBytes} byte limit`));
+        return;
+      }
+      const now = Date.now();
+      if (now - lastReport >= PROGRESS_INTERVAL) {
+        lastReport = now;
+        report();
+      }
+    });
+    response.data.on('error', abort);
+    writer.on('error', abort);
+    writer.on('finish', () => {
+      report();
+      if (totalBytes && bytes < totalBytes) {
+        reject(new Error(`Connection closed after ${bytes} of ${totalBytes} bytes`));
+      } else if (bytes === 0) {
+        reject(finalError(422, `The ${label} download is empty`));
+      } else {
+        resolve(bytes);
+      }
+    });
+    response.data.pipe(writer);
+  });
+};
+
+// Download a URL to a file: retries with backoff, resumes partial files with Range where the
+// server allows it, caps the size, and checks the result is media (and matches `checksum`).
+// `signHeaders` re-signs the headers before every attempt (S3); `requirements` as in probe.inspectInput
+const fetchToFile = async (url, filePath, options = {}) => {
+  const {
+    headers = {},
+    signHeaders = null,
+    timeout = config.timeouts.download,
+    retries = config.fetch.retries,
+    maxBytes = config.limits.maxInputBytes,
+    requirements = {},
+    checksum = null,
+    label = 'input',
+    onProgress = null
+  } = options;
+
+  const state = { acceptsRanges: false };
+  for (let attempt = 1; ; attempt++) {
+    const offset = state.acceptsRanges ? fileSize(filePath) : 0;
+    try {
+      await fetchOnce(url, filePath, offset, state, { headers, signHeaders, timeout, maxBytes, label, onProgress });
+      break;
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        removePartial(filePath);
+        throw error;
+      }
+      const delay = retryDelay(error, attempt);
+      log.warn('Download attempt failed, retrying', {
+        label,
+        host: new URL(url).host,
+        attempt,
+        delayMs: delay,
+        resumeFrom: state.acceptsRanges ? fileSize(filePath) : 0,
+        error: error.message
+      });
+      await wait(delay);
+    }
+  }
+
+  try {
+    await checkMediaFile(filePath, label, requirements);
+    if (checksum) {
+      await verifyChecksum(filePath, checksum, label);
+    }
+  } catch (error) {
+    removePartial(filePath);
+    throw error;
+  }
+};
+
+// Download a music file from a URL
+const downloadMusicFile = (url, filepath, options = {}) => {
+  return fetchToFile(url, filepath, { label: 'music', requirements: { requireAudio: true }, ...options });
+};
+
+// Download any HTTP(S) URL to a file, rejecting HTML pages where media was expected
+const downloadUrlToFile = (url, filepath, options = {}) => fetchToFile(url, filepath, options);
+
+// Enhanced utility function to download Google Drive files (handles both small and large files)
+const downloadFile = async (filepath, googleDriveFileID, options = {}) => {
+  try {
+    return await downloadGoogleDriveFile(googleDriveFileID, filepath, options);
+  } catch (error) {
+    log.error('Google Drive download failed', { fileId: googleDriveFileID, error: error.message });
+    throw error;
+  }
+};
+
+// Specialized function for Google Drive downloads
+const downloadGoogleDriveFile = async (fileId, filepath, options = {}) => {
+  const downloadMethods = [
+    // Method 1: Standard download URL
+    () => attemptDownload(`https://drive.google.com/uc?export=download&id=${fileId}`, filepath, options),
+    
+    // Method 2: Bypass virus scan for large files
+    () => attemptDownload(`https://drive.google.com/uc?export=download&id=${fileId}&confirm=t`, filepath, options),
+    
+    // Method 3: Handle virus scan page by parsing HTML
+    () => handleVirusScanPage(fileId, filepath, options)
+  ];
+  
+  for (let i = 0; i < downloadMethods.length; i++) {
+    try {
+      log.debug('Trying Google Drive download method', { fileId, method: i + 1 });
+      await downloadMethods[i]();
+      return;
+    } catch (error) {
+      log.warn('Google Drive download method failed', { fileId, method: i + 1, error: error.message });
+      // Too big, not media or a bad checksum: another download URL gives the same file
+      if (error.retryable === false && !error.htmlPage) {
+        throw error;
+      }
+      if (i === downloadMethods.length - 1) {
+        throw new Error('All Google Drive download methods failed');
+      }
+    }
+  }
+};
+
+// Helper function to attempt a download; the HTML pages Drive serves instead of files fail it at once
+const attemptDownload = (downloadUrl, finalFilePath, options = {}) => fetchToFile(downloadUrl, finalFilePath, options);
+
+
+// Handle virus scan page by parsing HTML to get actual download link
+const handleVirusScanPage = async (fileId, filepath, options = {}) => {
+  // First, get the virus scan page
+  const virusScanUrl = `https://drive.google.com/uc?export=download&id=${fileId}`;
+  const htmlResponse = await axios({
+    method: 'GET',
+    url: virusScanUrl,
+    timeout: config.timeouts.download
+  });
+  
+  const htmlContent = htmlResponse.data;
+  
+  // Parse the form action and hidden inputs from the HTML
+  const formActionMatch = htmlContent.match(/action="([^"]+)"/);
+  const idMatch = htmlContent.match(/name="id" value="([^"]+)"/);
+  const exportMatch = htmlContent.match(/name="export" value="([^"]+)"/);
+  const confirmMatch = htmlContent.match(/name="confirm" value="([^"]+)"/);
+  const uuidMatch = htmlContent.match(/name="uuid" value="([^"]+)"/);
+  
+  if (!formActionMatch || !idMatch || !exportMatch || !confirmMatch) {
+    throw new Error('Could not parse virus scan page HTML');
+  }
+  
+  // Construct the actual download URL
+  const baseUrl = formActionMatch[1];
+  const params = new URLSearchParams();
+  params.append('id', idMatch[1]);
+  params.append('export', exportMatch[1]);
+  params.append('confirm', confirmMatch[1]);
+  
+  if (uuidMatch) {
+    params.append('uuid', uuidMatch[1]);
+  }
+  
+  const actualDownloadUrl = `${baseUrl}?${params.toString()}`;
+  
+  log.debug('Constructed download URL from virus scan page', { fileId });
+  return await attemptDownload(actualDownloadUrl, filepath, options);
+};
+
+// Helper function to extract file ID from Google Drive URLs
+const extractGoogleDriveFileId = (url) => {
+  const patterns = [
+    /\/file\/d\/([a-zA-Z0-9-_]+)/,  // Standard share link
+    /id=([a-zA-Z0-9-_]+)/,          // Direct download link
+    /\/d\/([a-zA-Z0-9-_]+)/         // Short format
+  ];
+  
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  
+  return null;
+};
+
+module.exports = {
+  fetchToFile,
+  downloadMusicFile,
+  downloadUrlToFile,
+  downloadFile,
+  downloadGoogleDriveFile,
+  extractGoogleDriveFileId
+};
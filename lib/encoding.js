@@ -0,0 +1,166 @@
+const config = require('./config');
+const HttpError = require('./http-error');
+const { parseSize } = require('./units');
+const { CODECS, PRESETS } = require('./codecs');
+
+// Configured encode defaults (out of the box what ingest compression has always used:
+// H.264 CRF 23 capped at 3 Mbit/s, fitted within 1280x720)
+const DEFAULTS = {
+  codec: config.encoding.codec,
+  preset: config.encoding.preset,
+  crf: config.encoding.crf,
+  targetSize: null,
+  maxrate: config.encoding.maxrate,
+  bufsize: config.encoding.bufsize,
+  audioBitrate: config.encoding.audioBitrate,
+  maxWidth: config.encoding.maxWidth,
+  maxHeight: config.encoding.maxHeight
+};
+
+// Container and muxing overhead kept free when sizing a target bitrate
+const TARGET_SIZE_MARGIN = 0.97;
+// Below this there is nothing watchable left to encode
+const MIN_VIDEO_BITRATE = 100000;
+
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]?$/;
+
+// Bits per second from an ffmpeg style bitrate ("96k", "3M") or a number
+const parseBitrate = (value) => {
+  const match = String(value).match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+  if (!match) return NaN;
+  const multiplier = { '': 1, k: 1000, m: 1000000 }[match[2].toLowerCase()];
+  return Number(match[1]) * multiplier;
+};
+
+// Check encode options and fill in defaults: { codec, preset, crf, targetSize, maxrate, bufsize,
+// audioBitrate, maxWidth, maxHeight }; `true` means the defaults
+const resolveEncodeOptions = (options = {}) => {
+  if (options === true) {
+    options = {};
+  }
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error('compression options must be an object');
+  }
+  const resolved = { ...DEFAULTS, ...options };
+
+  if (!CODECS[resolved.codec]) {
+    throw new Error(`codec must be one of: ${Object.keys(CODECS).join(', ')}`);
+  }
+  // Requests stay within the configured bounds: no slower preset and no lower CRF than allowed
+  const allowedPresets = PRESETS.slice(0, PRESETS.indexOf(config.encoding.slowestPreset) + 1);
+  if (!allowedPresets.includes(resolved.preset)) {
+    throw new Error(`preset must be one of: ${allowedPresets.join(', ')}`);
+  }
+
+  const codec = CODECS[resolved.codec];
+  const minCrf = Math.min(config.encoding.minCrf, codec.maxCrf);
+  if (resolved.crf === null) {
+    resolved.crf = Math.max(codec.defaultCrf, minCrf);
+  } else if (!(Number.isInteger(Number(resolved.crf)) && Number(resolved.crf) >= minCrf && Number(resolved.crf) <= codec.maxCrf)) {
+    throw new Error(`crf must be a whole number from ${minCrf} to ${codec.maxCrf} for ${resolved.codec}`);
+  }
+  resolved.crf = Number(resolved.crf);
+
+  if (resolved.targetSize !== null) {
+    resolved.targetSize = parseSize(resolved.targetSize);
+    if (!(resolved.targetSize >= 1024 * 1024)) {
+      throw new Error('targetSize must be a size of at least 1MB, e.g. 50MB or 52428800');
+    }
+  }
+
+  [['maxrate', resolved.maxrate], ['bufsize', resolved.bufsize], ['audioBitrate', resolved.audioBitrate]].forEach(([key, value]) => {
+    if (value !== null && !BITRATE_PATTERN.test(String(value))) {
+      throw new Error(`${key} must be a bitrate like 96k or 3M`);
+    }
+  });
+  if (resolved.audioBitrate === null) {
+    throw new Error('audioBitrate is required');
+  }
+
+  [['maxWidth', resolved.maxWidth], ['maxHeight', resolved.maxHeight]].forEach(([key, value]) => {
+    if (value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 16 && Number(value) <= 7680)) {
+      throw new Error(`${key} must be a whole number of pixels from 16 to 7680, or null for no limit`);
+    }
+  });
+
+  return resolved;
+};
+
+// Video bitrate (bits/s) that lands a file of `duration` seconds under targetSize with the given audio
+const targetVideoBitrate = (targetSize, duration, audioBitrate) => {
+  const totalBitrate = (targetSize * 8 * TARGET_SIZE_MARGIN) / duration;
+  const videoBitrate = Math.floor(totalBitrate - parseBitrate(audioBitrate));
+  if (videoBitrate < MIN_VIDEO_BITRATE) {
+    throw new HttpError(422, `targetSize is too small for ${Math.round(duration)}s of video (needs at least ${Math.ceil(((MIN_VIDEO_BITRATE + parseBitrate(audioBitrate)) * duration) / 8 / TARGET_SIZE_MARGIN / 1024 / 1024)}MB)`);
+  }
+  return videoBitrate;
+};
+
+// Scale down to fit within maxWidth x maxHeight (turned round for portrait video), never up
+const buildScaleFilter = ({ maxWidth, maxHeight }) => {
+  if (!maxWidth && !maxHeight) {
+    return null;
+  }
+  const long = maxWidth || maxHeight;
+  const short = maxHeight || maxWidth;
+  return `scale='if(gte(iw,ih),min(iw,${long}),min(iw,${short}))':'if(gte(iw,ih),min(ih,${short}),min(ih,${long}))'` +
+    ':force_original_aspect_ratio=decrease:force_divisible_by=2';
+};
+
+// Encoder arguments for the chosen codec and preset, without rate control
+const encoderArgs = (options) => {
+  const codec = CODECS[options.codec];
+  const speed = String(PRESETS.length - 1 - PRESETS.indexOf(options.preset));
+  switch (options.codec) {
+    case 'h264':
+      return ['-c:v', codec.encoder, '-preset', options.preset, '-tune', 'film', '-pix_fmt', 'yuv420p'];
+    case 'h265':
+      // hvc1 lets Apple players open H.265 in MP4
+      return ['-c:v', codec.encoder, '-preset', options.preset, '-tag:v', 'hvc1', '-pix_fmt', 'yuv420p'];
+    case 'vp9':
+      return ['-c:v', codec.encoder, '-deadline', 'good', '-cpu-used', speed, '-row-mt', '1', '-pix_fmt', 'yuv420p'];
+    case 'av1':
+      return ['-c:v', codec.encoder, '-cpu-used', speed, '-row-mt', '1', '-pix_fmt', 'yuv420p'];
+  }
+};
+
+// Constant-quality rate control; maxrate caps the bitrate (VP9/AV1 treat it as constrained quality)
+const crfArgs = (options) => {
+  if (options.codec === 'h264' || options.codec === 'h265') {
+    return [
+      '-crf', String(options.crf),
+      ...(options.maxrate ? ['-maxrate', options.maxrate, '-bufsize', options.bufsize || options.maxrate] : [])
+    ];
+  }
+  return ['-crf', String(options.crf), '-b:v', options.maxrate || '0'];
+};
+
+// Rate control for one pass of a two-pass average bitrate encode
+const twoPassArgs = (options, bitrate, pass, passLogPrefix) => {
+  const args = ['-b:v', String(bitrate)];
+  if (options.codec === 'h265') {
+    // libx265 ignores -pass; its stats file goes through x265-params
+    return [...args, '-x265-params', `pass=${pass}:stats=${passLogPrefix}.log`];
+  }
+  return [...args, '-pass', String(pass), '-passlogfile', passLogPrefix];
+};
+
+const audioArgs = (options) => ['-c:a', CODECS[options.codec].audioCodec, '-b:a', options.audioBitrate, '-ac', '2'];
+
+// The container an encode ends up in, e.g. for choosing the output file extension
+const containerFor = (codec) => CODECS[codec || DEFAULTS.codec].container;
+
+module.exports = {
+  CODECS,
+  PRESETS,
+  parseSize,
+  parseBitrate,
+  resolveEncodeOptions,
+  targetVideoBitrate,
+  buildScaleFilter,
+  encoderArgs,
+  crfArgs,
+  twoPassArgs,
+  audioArgs,
+  containerFor
+};
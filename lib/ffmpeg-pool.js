@@ -0,0 +1,246 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+const jobs = require('./jobs');
+const config = require('./config');
+const log = require('./logger');
+const metrics = require('./metrics');
+const HttpError = require('./http-error');
+
+const MAX_PRIORITY = 10;
+
+// ffmpeg processes allowed at once; the rest wait in the queue
+const maxConcurrent = config.ffmpeg.maxConcurrency;
+
+const settings = {
+  maxConcurrent,
+  // Threads each process may use (encoders and filters), by default the cores shared out; 0 leaves it to ffmpeg
+  threads: config.ffmpeg.threads !== null
+    ? config.ffmpeg.threads
+    : Math.max(1, Math.floor(os.cpus().length / maxConcurrent)),
+  // Default time a process may run once started (time spent queued does not count)
+  timeout: config.ffmpeg.timeout
+};
+
+// ffmpeg's output on failure is mostly its banner; the end says what went wrong
+const STDERR_TAIL_LINES = 20;
+
+// Waiting tasks, highest priority first and first come first served within a priority
+const queue = [];
+const running = new Set();
+
+const runsTotal = metrics.counter('video_ffmpeg_runs_total', 'ffmpeg runs by outcome (completed, failed, timeout, cancelled).', ['outcome']);
+const runDuration = metrics.histogram('video_ffmpeg_run_duration_seconds', 'Time ffmpeg runs took once started.', ['outcome']);
+const queueWait = metrics.histogram('video_ffmpeg_queue_wait_seconds', 'Time ffmpeg runs waited in the queue.', [], [0.1, 1, 5, 15, 30, 60, 300, 600, 1800]);
+metrics.gauge('video_ffmpeg_running', 'ffmpeg processes running now.', [], (set) => set({}, running.size));
+metrics.gauge('video_ffmpeg_queue_depth', 'ffmpeg runs waiting for a free slot.', [], (set) => set({}, queue.length));
+
+const cancelledError = (job) => new HttpError(409, `Job ${job.id} was cancelled`);
+
+// Check a request's priority: a whole number from 0 (default) to MAX_PRIORITY
+const normalizePriority = (value) => {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  const priority = Number(value);
+  if (!Number.isInteger(priority) || priority < 0 || priority > MAX_PRIORITY) {
+    throw new HttpError(400, `priority must be a whole number from 0 to ${MAX_PRIORITY}`);
+  }
+  return priority;
+};
+
+// Cap encoder and filter threads unless the caller already chose a thread count
+const withThreadLimit = (args, threads) => {
+  if (!threads || args.includes('-threads')) {
+    return args;
+  }
+  const output = args[args.length - 1];
+  return [
+    '-filter_threads', String(threads),
+    '-filter_complex_threads', String(threads),
+    ...args.slice(0, -1),
+    '-threads', String(threads),
+    output
+  ];
+};
+
+// Remove what a killed process had written so far, if it is a job file in temp/
+const removePartialOutput = async (args) => {
+  const output = args[args.length - 1];
+  if (output && output !== '-' && output !== os.devNull && jobs.isJobFile(path.basename(output))) {
+    await fs.unlink(output).catch(() => {});
+  }
+};
+
+// Tell a waiting job where it is in the queue
+const publishPositions = () => {
+  queue.forEach((task, index) => {
+    if (task.job) {
+      jobs.publish(task.job, 'queue', { position: index + 1, running: running.size });
+    }
+  });
+};
+
+const start = (task) => {
+  const { args, job, timeout, onStderr } = task;
+  const fullArgs = withThreadLimit(args, settings.threads);
+  // The pool may start a job's task while finishing another's, so the job is named explicitly
+  const jobFields = job ? { jobId: job.id, step: job.step || undefined } : {};
+
+  const child = spawn(config.ffmpeg.path, fullArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+  task.process = child;
+  task.startedAt = new Date().toISOString();
+  running.add(task);
+  const startedAt = Date.now();
+  queueWait.observe({}, metrics.secondsSince(new Date(task.queuedAt).getTime()));
+  log.info('ffmpeg started', { ...jobFields, pid: child.pid, priority: task.priority, command: ['ffmpeg', ...fullArgs].join(' ') });
+
+  let stderr = '';
+  let killedFor = null;
+  let settled = false;
+
+  // Kill on timeout or cancellation; the close handler settles the promise
+  task.kill = (reason) => {
+    if (killedFor) return;
+    killedFor = reason;
+    child.kill('SIGKILL');
+  };
+  const timer = setTimeout(() => task.kill('timeout'), timeout);
+
+  child.stdout.on('data', (data) => {
+    log.debug('ffmpeg stdout', { ...jobFields, pid: child.pid, output: data.toString() });
+  });
+
+  child.stderr.on('data', (data) => {
+    stderr += data.toString();
+    log.debug('ffmpeg stderr', { ...jobFields, pid: child.pid, output: data.toString() });
+    if (onStderr) {
+      onStderr(data);
+    }
+  });
+
+  // 'error' and 'close' can both fire for one process
+  const finish = async (error, outcome) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    running.delete(task);
+    runsTotal.inc({ outcome });
+    runDuration.observe({ outcome }, metrics.secondsSince(startedAt));
+    const fields = { ...jobFields, pid: child.pid, outcome, durationMs: Date.now() - startedAt };
+    if (error) {
+      log.error('ffmpeg failed', { ...fields, error: error.message });
+    } else {
+      log.info('ffmpeg finished', fields);
+    }
+    if (error && killedFor) {
+      await removePartialOutput(args);
+    }
+    schedule();
+    if (error) {
+      task.reject(error);
+    } else {
+      task.resolve({ stderr });
+    }
+  };
+
+  child.on('close', (code) => {
+    if (killedFor === 'cancel') {
+      finish(cancelledError(job), 'cancelled');
+    } else if (killedFor === 'timeout') {
+      finish(new Error(`FFmpeg process timed out after ${timeout / 1000} seconds`), 'timeout');
+    } else if (code === 0) {
+      finish(null, 'completed');
+    } else {
+      const tail = stderr.trim().split('\n').slice(-STDERR_TAIL_LINES).join('\n');
+      finish(new Error(`FFmpeg failed with exit code ${code}: ${tail}`), 'failed');
+    }
+  });
+
+  child.on('error', (error) => {
+    finish(new Error(`FFmpeg process error: ${error.message}`), 'failed');
+  });
+};
+
+// Start queued tasks while there are free slots
+const schedule = () => {
+  while (running.size < settings.maxConcurrent && queue.length > 0) {
+    const task = queue.shift();
+    if (task.job && task.job.cancelRequested) {
+      task.reject(cancelledError(task.job));
+      continue;
+    }
+    start(task);
+  }
+  publishPositions();
+};
+
+// Queue an ffmpeg run and resolve with { stderr } once it has finished
+// options: job (for cancellation and queue events), priority (defaults to the job's),
+// timeout in ms, onStderr(chunk) for progress parsing
+const run = (args, options = {}) => {
+  const { job = null, timeout = settings.timeout, onStderr = null } = options;
+  const priority = options.priority ?? (job && job.priority) ?? 0;
+
+  if (job && job.cancelRequested) {
+    return Promise.reject(cancelledError(job));
+  }
+
+  return new Promise((resolve, reject) => {
+    const task = { args, job, priority, timeout, onStderr, resolve, reject, queuedAt: new Date().toISOString() };
+    const index = queue.findIndex(other => other.priority < priority);
+    queue.splice(index === -1 ? queue.length : index, 0, task);
+    schedule();
+  });
+};
+
+// Kill a job's running processes and drop its queued ones; its step then fails as cancelled
+const cancelJob = (job) => {
+  job.cancelRequested = true;
+
+  let dequeued = 0;
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (queue[i].job === job) {
+      queue.splice(i, 1)[0].reject(cancelledError(job));
+      dequeued++;
+    }
+  }
+
+  let killed = 0;
+  running.forEach((task) => {
+    if (task.job === job) {
+      task.kill('cancel');
+      killed++;
+    }
+  });
+
+  publishPositions();
+  return { killed, dequeued };
+};
+
+// What the pool is doing, for /health and diagnostics
+const getStatus = () => ({
+  maxConcurrent: settings.maxConcurrent,
+  threads: settings.threads,
+  timeout: settings.timeout,
+  running: Array.from(running).map(task => ({
+    jobId: task.job ? task.job.id : null,
+    pid: task.process.pid,
+    priority: task.priority,
+    startedAt: task.startedAt
+  })),
+  queued: queue.map(task => ({
+    jobId: task.job ? task.job.id : null,
+    priority: task.priority,
+    queuedAt: task.queuedAt
+  }))
+});
+
+module.exports = {
+  settings,
+  normalizePriority,
+  run,
+  cancelJob,
+  getStatus
+};
@@ -0,0 +1,89 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const config = require('./config');
+
+// Binaries do not come and go while the server runs, so a check is reused for a while
+const BINARY_CHECK_TTL = 5 * 60 * 1000;
+const BINARY_TIMEOUT = 5000;
+
+// The same binaries ffmpeg-pool spawns and fluent-ffmpeg probes with
+const BINARIES = {
+  ffmpeg: config.ffmpeg.path,
+  ffprobe: config.ffmpeg.ffprobePath
+};
+
+const binaryChecks = new Map();
+
+// Run `<binary> -version` and report the version it prints
+const runVersion = (binary) => new Promise((resolve) => {
+  execFile(binary, ['-version'], { timeout: BINARY_TIMEOUT }, (error, stdout) => {
+    if (error) {
+      resolve({ ok: false, error: error.code === 'ENOENT' ? `${binary} not found` : error.message });
+      return;
+    }
+    const match = stdout.match(/version (\S+)/);
+    resolve({ ok: true, version: match ? match[1] : null });
+  });
+});
+
+const checkBinary = async (name) => {
+  const cached = binaryChecks.get(name);
+  if (cached && Date.now() - cached.checkedAt < BINARY_CHECK_TTL) {
+    return cached.result;
+  }
+  const result = await runVersion(BINARIES[name]);
+  binaryChecks.set(name, { result, checkedAt: Date.now() });
+  return result;
+};
+
+// Write and remove a small file; a name no job owns leaves any leftover to the orphan sweep
+const checkTempDir = async () => {
+  const probePath = path.join(storage.TEMP_DIR, `health_${uuidv4()}`);
+  try {
+    await fs.mkdir(storage.TEMP_DIR, { recursive: true });
+    await fs.writeFile(probePath, 'ok');
+    await fs.unlink(probePath);
+    return { ok: true, path: storage.TEMP_DIR };
+  } catch (error) {
+    return { ok: false, path: storage.TEMP_DIR, error: error.message };
+  }
+};
+
+// Enough free space left for downloads and encodes to start (see storage.ensureSpace)
+const checkDiskSpace = async () => {
+  const usage = await storage.getUsage();
+  const ok = usage.freeBytes === null || usage.freeBytes >= usage.minFreeBytes;
+  return {
+    ok,
+    freeBytes: usage.freeBytes,
+    minFreeBytes: usage.minFreeBytes,
+    usedBytes: usage.usedBytes,
+    quotaBytes: usage.quotaBytes,
+    ...(ok ? {} : { error: `Only ${usage.freeBytes} bytes free, ${usage.minFreeBytes} needed` })
+  };
+};
+
+// Everything the server needs to process media; a check that throws counts as failed
+const runChecks = async () => {
+  const checks = {
+    ffmpeg: checkBinary('ffmpeg'),
+    ffprobe: checkBinary('ffprobe'),
+    tempDir: checkTempDir(),
+    diskSpace: checkDiskSpace()
+  };
+
+  const results = {};
+  for (const [name, check] of Object.entries(checks)) {
+    results[name] = await check.catch(error => ({ ok: false, error: error.message }));
+  }
+
+  const failed = Object.keys(results).filter(name => !results[name].ok);
+  return { ok: failed.length === 0, failed, checks: results };
+};
+
+module.exports = {
+  runChecks
+};
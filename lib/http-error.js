@@ -0,0 +1,10 @@
+// Error carrying the HTTP status a route should reply with
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
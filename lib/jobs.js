@@ -0,0 +1,215 @@
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { signPath } = require('./auth');
+const config = require('./config');
+const metrics = require('./metrics');
+
+// In-memory registry of jobs keyed by job ID
+const jobs = new Map();
+
+// Live job events (progress, step transitions, status), emitted under the job ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const jobsCreated = metrics.counter('video_jobs_created_total', 'Jobs created.');
+metrics.gauge('video_jobs', 'Jobs held in memory, by status.', ['status'], (set) => {
+  const counts = { created: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+  jobs.forEach((job) => {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  });
+  Object.entries(counts).forEach(([status, count]) => set({ status }, count));
+});
+
+// Create a new job with an empty artifact history
+const createJob = () => {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    createdAt: now,
+    updatedAt: now,
+    // Bumped whenever a request uses the job; the storage reaper expires and evicts by it
+    lastAccessedAt: now,
+    status: 'created',
+    step: null,
+    progress: 0,
+    result: null,
+    error: null,
+    startedAt: null,
+    finishedAt: null,
+    callback: null,
+    // Queue priority of the job's ffmpeg runs (0-10), and whether DELETE /jobs/:id asked it to stop
+    priority: 0,
+    cancelRequested: false,
+    // Per-step report of the last /pipeline run
+    pipeline: null,
+    // Analysis results later steps can reuse (silence detection, ...)
+    data: {},
+    artifacts: []
+  };
+  jobs.set(job.id, job);
+  jobsCreated.inc();
+  return job;
+};
+
+const getJob = (jobId) => jobs.get(jobId) || null;
+
+const listJobs = () => Array.from(jobs.values());
+
+// Mark the job as recently used
+const touch = (job) => {
+  job.lastAccessedAt = new Date().toISOString();
+};
+
+// Build a file name / path in the temp dir that is owned by the given job
+const jobFileName = (job, filename) => `${job.id}_${filename}`;
+const jobFilePath = (job, filename) => path.join(config.paths.temp, jobFileName(job, filename));
+
+// Check whether a file in temp/ belongs to a registered job
+const isJobFile = (filename) => {
+  for (const jobId of jobs.keys()) {
+    if (filename.startsWith(`${jobId}_`)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Record a new artifact (input, audio, processed, final) in the job's history
+const addArtifact = (job, type, filePath) => {
+  const artifact = {
+    id: uuidv4(),
+    type,
+    path: filePath,
+    createdAt: new Date().toISOString()
+  };
+  job.artifacts.push(artifact);
+  job.updatedAt = artifact.createdAt;
+  return artifact;
+};
+
+// Get the most recent artifact matching one of the given types, skipping deleted ones
+const getArtifact = (job, types) => {
+  const wanted = Array.isArray(types) ? types : [types];
+  for (let i = job.artifacts.length - 1; i >= 0; i--) {
+    if (wanted.includes(job.artifacts[i].type) && !job.artifacts[i].deletedAt) {
+      return job.artifacts[i];
+    }
+  }
+  return null;
+};
+
+// Keep an artifact whose file was removed in the history, but out of later steps' way
+const markArtifactDeleted = (job, artifact) => {
+  artifact.deletedAt = new Date().toISOString();
+  job.updatedAt = artifact.deletedAt;
+};
+
+const getArtifactById = (job, artifactId) => {
+  return job.artifacts.find(artifact => artifact.id === artifactId) || null;
+};
+
+// Send an event to everyone following the job
+const publish = (job, type, data = {}) => {
+  jobEvents.emit(job.id, { type, jobId: job.id, at: new Date().toISOString(), ...data });
+};
+
+// Follow a job's events; returns a function that stops following
+const subscribe = (job, listener) => {
+  jobEvents.on(job.id, listener);
+  return () => jobEvents.off(job.id, listener);
+};
+
+// Record how far the running step has got (0-100) and publish it with any details
+// (phase, bytes, totalBytes, fps, timemark) the caller has
+const setProgress = (job, percent, details = {}) => {
+  if (typeof percent !== 'number' || Number.isNaN(percent)) return;
+  job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+  job.updatedAt = new Date().toISOString();
+  publish(job, 'progress', { step: job.step, progress: job.progress, ...details });
+};
+
+// Name an artifact goes by outside the server: downloads and published copies
+const artifactFileName = (job, artifact) => `${artifact.type}_${job.id.slice(0, 8)}${path.extname(artifact.path)}`;
+
+// Signed, expiring link to the route that serves an artifact with Range, ETag and HEAD support
+const artifactUrl = (job, artifact) => signPath(`/jobs/${job.id}/artifacts/${artifact.id}`);
+
+// Progress callback that maps a sub-task's 0-100 onto the from-to slice of the step
+const progressRange = (job, from, to) => (details = {}) => {
+  setProgress(job, from + ((details.percent || 0) * (to - from)) / 100, details);
+};
+
+// The video later steps should work on: last final output, else last processed one
+const getCurrentVideo = (job) => getArtifact(job, ['final', 'processed']);
+
+// Summarise a job and its artifact history for API responses
+const describeJob = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  step: job.step,
+  progress: job.progress,
+  priority: job.priority,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  lastAccessedAt: job.lastAccessedAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  callback: job.callback,
+  pipeline: job.pipeline,
+  data: job.data,
+  artifacts: job.artifacts.map(artifact => {
+    const exists = fsSync.existsSync(artifact.path);
+    return {
+      ...artifact,
+      exists,
+      size: exists ? fsSync.statSync(artifact.path).size : null,
+      downloadUrl: artifactUrl(job, artifact)
+    };
+  })
+});
+
+// Delete every file the job produced and forget about the job
+const removeJob = async (job) => {
+  const deleted = [];
+  for (const artifact of job.artifacts) {
+    // Already gone (published with deleteLocal, or removed by a cleanup running alongside)
+    try {
+      await fs.unlink(artifact.path);
+      deleted.push(artifact.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  jobs.delete(job.id);
+  return deleted;
+};
+
+module.exports = {
+  createJob,
+  getJob,
+  listJobs,
+  touch,
+  jobFileName,
+  jobFilePath,
+  isJobFile,
+  addArtifact,
+  getArtifact,
+  getArtifactById,
+  markArtifactDeleted,
+  artifactFileName,
+  artifactUrl,
+  publish,
+  subscribe,
+  setProgress,
+  progressRange,
+  getCurrentVideo,
+  describeJob,
+  removeJob
+};
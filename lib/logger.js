@@ -0,0 +1,75 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// level debug also shows ffmpeg's own output; format json suits log platforms, text a terminal
+const settings = config.logging;
+
+// The job whose work is running, so every line logged on its behalf carries its ID and step
+const jobContext = new AsyncLocalStorage();
+
+// Run `work` with the job as logging context (runner.execute wraps every step in this)
+const withJob = (job, work) => jobContext.run(job, work);
+
+const contextFields = () => {
+  const job = jobContext.getStore();
+  return job ? { jobId: job.id, step: job.step || undefined } : {};
+};
+
+// Errors have no enumerable fields, so JSON.stringify would turn them into {}
+const serializeError = (error) => ({
+  message: error.message,
+  ...(error.status ? { status: error.status } : {}),
+  ...(error.code ? { code: error.code } : {}),
+  stack: error.stack
+});
+
+const normalizeFields = (fields) => {
+  const normalized = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) {
+      normalized[key] = value instanceof Error ? serializeError(value) : value;
+    }
+  });
+  return normalized;
+};
+
+const formatText = ({ time, level, msg, jobId, step, ...rest }) => {
+  const prefix = jobId ? `[${jobId}${step ? ` ${step}` : ''}] ` : '';
+  const extra = Object.keys(rest).length ? ` ${util.inspect(rest, { breakLength: Infinity, depth: 4 })}` : '';
+  return `${time} ${level.toUpperCase()} ${prefix}${msg}${extra}`;
+};
+
+const formatJson = (entry) => {
+  try {
+    return JSON.stringify(entry);
+  } catch {
+    // Circular or otherwise unserializable fields still leave a usable line
+    return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, fields: util.inspect(entry) });
+  }
+};
+
+// Explicit fields win over the job context, e.g. the pool logging for a job other than the current one
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const entry = normalizeFields({ time: new Date().toISOString(), level, msg: message, ...contextFields(), ...fields });
+  const line = settings.format === 'text' ? formatText(entry) : formatJson(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+// Log with a message and optional fields: log.info('Callback delivered', { url })
+const debug = (message, fields) => write('debug', message, fields);
+const info = (message, fields) => write('info', message, fields);
+const warn = (message, fields) => write('warn', message, fields);
+const error = (message, fields) => write('error', message, fields);
+
+module.exports = {
+  settings,
+  withJob,
+  debug,
+  info,
+  warn,
+  error
+};
@@ -0,0 +1,183 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const pool = require('./ffmpeg-pool');
+const log = require('./logger');
+const HttpError = require('./http-error');
+const { probeMedia } = require('./probe');
+const {
+  CODECS,
+  resolveEncodeOptions,
+  targetVideoBitrate,
+  buildScaleFilter,
+  encoderArgs,
+  crfArgs,
+  twoPassArgs,
+  audioArgs
+} = require('./encoding');
+
+// Width, height and rounded frame rate of a video, as displayed (rotation applied)
+// Fails when the file cannot be probed or has no video stream, instead of guessing a size
+const getVideoInfo = async (videoPath) => {
+  const probe = await probeMedia(videoPath);
+  if (!probe.video) {
+    throw new Error(`No video stream in ${videoPath}`);
+  }
+  const { displayWidth, displayHeight, fps } = probe.video;
+  if (!displayWidth || !displayHeight) {
+    throw new Error(`Could not read the video size of ${videoPath}`);
+  }
+  return {
+    width: displayWidth,
+    height: displayHeight,
+    fps: fps ? Math.round(fps.value) : 30
+  };
+};
+
+// Get the duration of any media file in seconds
+const getDuration = (filePath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Could not read media duration: ${err.message}`));
+        return;
+      }
+      resolve(parseFloat(metadata.format.duration) || 0);
+    });
+  });
+};
+
+const timestampToSeconds = (hours, minutes, seconds) => {
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+// Follow ffmpeg stderr output and report { percent, fps, timemark } as encoding advances
+// The longest input "Duration:" seen is used as the total when none is given
+const createProgressParser = (onProgress, knownDuration = 0) => {
+  let duration = knownDuration;
+
+  return (chunk) => {
+    const text = chunk.toString();
+
+    if (!knownDuration) {
+      const durations = text.matchAll(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/g);
+      for (const match of durations) {
+        duration = Math.max(duration, timestampToSeconds(match[1], match[2], match[3]));
+      }
+    }
+
+    const times = Array.from(text.matchAll(/time=\s*(\d+):(\d+):(\d+(?:\.\d+)?)/g));
+    if (times.length === 0) return;
+
+    const last = times[times.length - 1];
+    const seconds = timestampToSeconds(last[1], last[2], last[3]);
+    const fpsMatches = Array.from(text.matchAll(/fps=\s*([\d.]+)/g));
+
+    onProgress({
+      percent: duration > 0 ? Math.min(100, (seconds / duration) * 100) : null,
+      fps: fpsMatches.length > 0 ? Number(fpsMatches[fpsMatches.length - 1][1]) : null,
+      timemark: `${last[1]}:${last[2]}:${last[3]}`
+    });
+  };
+};
+
+// Encode a video for size: constant quality (CRF) by default, or a two-pass average bitrate that
+// fits under `targetSize` bytes. Options are those of encoding.resolveEncodeOptions, plus timeout
+// onProgress and job (for the ffmpeg pool). Resolves with what was achieved: { size, duration, bitrate, ... }
+const compressVideo = async (inputPath, outputPath, options = {}) => {
+  // Without a timeout each run gets the pool's default
+  const { job = null, timeout, onProgress = null, ...encodeOptions } = options;
+  const settings = resolveEncodeOptions(encodeOptions);
+  const probe = await probeMedia(inputPath);
+  const duration = probe.duration || 0;
+  const scaleFilter = buildScaleFilter(settings);
+  const videoArgs = [...(scaleFilter ? ['-vf', scaleFilter] : []), ...encoderArgs(settings)];
+  const faststart = CODECS[settings.codec].container === 'mp4' ? ['-movflags', '+faststart'] : [];
+  const outputArgs = [...audioArgs(settings), ...faststart, '-y', outputPath];
+
+  log.info('Compressing video', { codec: settings.codec, preset: settings.preset, crf: settings.targetSize ? undefined : settings.crf, targetSize: settings.targetSize || undefined });
+
+  let targetBitrate = null;
+  if (settings.targetSize) {
+    if (!duration) {
+      throw new HttpError(422, 'targetSize needs an input with a known duration');
+    }
+    targetBitrate = targetVideoBitrate(settings.targetSize, duration, settings.audioBitrate);
+
+    // Pass logs sit next to the output and are removed whatever happens
+    const passLogPrefix = `${outputPath}.pass`;
+    const passProgress = (pass) => onProgress && ((progress) => onProgress({
+      ...progress,
+      pass,
+      percent: progress.percent === null ? null : (pass - 1) * 50 + progress.percent / 2
+    }));
+    try {
+      await runFfmpeg([
+        '-i', inputPath,
+        ...videoArgs,
+        ...twoPassArgs(settings, targetBitrate, 1, passLogPrefix),
+        '-an',
+        '-f', 'null',
+        '-y',
+        os.devNull
+      ], { job, timeout, duration, onProgress: passProgress(1) });
+      await runFfmpeg([
+        '-i', inputPath,
+        ...videoArgs,
+        ...twoPassArgs(settings, targetBitrate, 2, passLogPrefix),
+        ...outputArgs
+      ], { job, timeout, duration, onProgress: passProgress(2) });
+    } finally {
+      const directory = path.dirname(outputPath);
+      const prefix = path.basename(passLogPrefix);
+      const files = await fs.readdir(directory).catch(() => []);
+      for (const file of files.filter(name => name.startsWith(prefix))) {
+        await fs.unlink(path.join(directory, file)).catch(() => {});
+      }
+    }
+  } else {
+    await runFfmpeg([
+      '-i', inputPath,
+      ...videoArgs,
+      ...crfArgs(settings),
+      ...outputArgs
+    ], { job, timeout, duration, onProgress });
+  }
+
+  const { size } = await fs.stat(outputPath);
+  const outputDuration = (await probeMedia(outputPath)).duration || duration;
+
+  return {
+    success: true,
+    outputPath,
+    codec: settings.codec,
+    encoder: CODECS[settings.codec].encoder,
+    container: CODECS[settings.codec].container,
+    preset: settings.preset,
+    mode: settings.targetSize ? 'target-size' : 'crf',
+    crf: settings.targetSize ? null : settings.crf,
+    targetSize: settings.targetSize,
+    targetVideoBitrate: targetBitrate,
+    inputSize: probe.container.size,
+    size,
+    duration: outputDuration,
+    bitrate: outputDuration > 0 ? Math.round((size * 8) / outputDuration) : null,
+    withinTarget: settings.targetSize ? size <= settings.targetSize : null
+  };
+};
+
+// Run ffmpeg with raw arguments through the shared pool (see ffmpeg-pool for job, priority and timeout)
+const runFfmpeg = (args, options = {}) => {
+  const { onProgress = null, duration = 0, ...poolOptions } = options;
+  const parseProgress = onProgress ? createProgressParser(onProgress, duration) : null;
+  return pool.run(args, { ...poolOptions, onStderr: parseProgress });
+};
+
+module.exports = {
+  getVideoInfo,
+  getDuration,
+  createProgressParser,
+  compressVideo,
+  runFfmpeg
+};
@@ -0,0 +1,117 @@
+const log = require('./logger');
+
+// A small Prometheus registry (text exposition format 0.0.4): counters, gauges and histograms with labels
+// Modules declare the metrics for what they own; GET /metrics renders them all
+
+const registry = new Map();
+
+// Step and ffmpeg run durations range from seconds to about an hour
+const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// Label set as it appears in a sample, always in the declared label order
+const formatLabels = (labelNames, labels = {}, extra = []) => {
+  const pairs = [...labelNames.map(name => [name, labels[name] ?? '']), ...extra];
+  return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+// Only ever goes up: inc(labels, amount)
+const counter = (name, help, labelNames = []) => {
+  // A counter without labels reads 0 before its first increment rather than being missing
+  const values = new Map(labelNames.length ? [] : [['', 0]]);
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc: (labels = {}, amount = 1) => {
+      const key = formatLabels(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    samples: () => Array.from(values, ([labels, value]) => `${name}${labels} ${value}`)
+  });
+};
+
+// A current value: set(labels, value), or `collect(set)` to read it fresh on every scrape (may be async)
+const gauge = (name, help, labelNames = [], collect = null) => {
+  const values = new Map();
+  const set = (labels, value) => {
+    values.set(formatLabels(labelNames, labels), value);
+  };
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    set,
+    refresh: collect && (async () => {
+      values.clear();
+      await collect(set);
+    }),
+    samples: () => Array.from(values, ([labels, value]) => `${name}${labels} ${value}`)
+  });
+};
+
+// Counts of observations per bucket, plus their sum: observe(labels, value)
+const histogram = (name, help, labelNames = [], buckets = DURATION_BUCKETS) => {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe: (labels = {}, value) => {
+      const key = formatLabels(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    samples: () => Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, index) => `${name}_bucket${formatLabels(labelNames, labels, [['le', bound]])} ${counts[index]}`),
+      `${name}_bucket${formatLabels(labelNames, labels, [['le', '+Inf']])} ${count}`,
+      `${name}_sum${formatLabels(labelNames, labels)} ${sum}`,
+      `${name}_count${formatLabels(labelNames, labels)} ${count}`
+    ])
+  });
+};
+
+// Seconds since a Date.now() timestamp, for observe()
+const secondsSince = (startedAt) => (Date.now() - startedAt) / 1000;
+
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', [], (set) => set({}, process.memoryUsage().rss));
+gauge('process_uptime_seconds', 'Seconds since the server process started.', [], (set) => set({}, Math.round(process.uptime())));
+
+// Every metric in text exposition format; collected gauges are read now
+const render = async () => {
+  const metrics = Array.from(registry.values());
+  // A collector that fails leaves its gauge empty rather than failing the scrape
+  await Promise.all(metrics.filter(metric => metric.refresh).map(metric => metric.refresh().catch((error) => {
+    log.warn('Failed to collect metric', { metric: metric.name, error });
+  })));
+  return metrics.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.samples()
+  ].join('\n')).join('\n') + '\n';
+};
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  counter,
+  gauge,
+  histogram,
+  secondsSince,
+  render
+};
@@ -0,0 +1,276 @@
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('./jobs');
+const { checkSource, resolveInput } = require('./sources');
+const { parseTime } = require('./cutlist');
+const { escapeFilterPath } = require('./subtitles');
+const { COLOR_PATTERN, FONT_PATTERN } = require('./thumbnails');
+
+const MAX_OVERLAYS = 10;
+const MAX_TEXT_LENGTH = 500;
+const OVERLAY_TYPES = ['image', 'text'];
+
+// Where an overlay sits, as expressions of the frame (W/H) and overlay (w/h) size and the margin (m)
+const POSITIONS = {
+  'top-left': { x: 'm', y: 'm' },
+  top: { x: '(W-w)/2', y: 'm' },
+  'top-right': { x: 'W-w-m', y: 'm' },
+  left: { x: 'm', y: '(H-h)/2' },
+  center: { x: '(W-w)/2', y: '(H-h)/2' },
+  right: { x: 'W-w-m', y: '(H-h)/2' },
+  'bottom-left': { x: 'm', y: 'H-h-m' },
+  bottom: { x: '(W-w)/2', y: 'H-h-m' },
+  'bottom-right': { x: 'W-w-m', y: 'H-h-m' },
+  // Captions sit a quarter of the way up from the bottom, aligned left like a TV name strap
+  'lower-third': { x: 'm', y: 'H*0.75-h/2' }
+};
+
+const checkNumber = (value, label, min, max) => {
+  if (!(Number(value) >= min && Number(value) <= max)) {
+    throw new Error(`${label} must be between ${min} and ${max}`);
+  }
+  return Number(value);
+};
+
+// Check one overlay: an image logo ({ type: 'image', source, scale, opacity }) or drawtext caption
+// ({ type: 'text', text, fontSize, fontColor, boxColor, font }), both with position, margin,
+// an optional start/end window (seconds or timecodes) and fadeIn/fadeOut
+const normalizeOverlay = (overlay, label) => {
+  if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) {
+    throw new Error(`${label} must be an object`);
+  }
+  const type = overlay.type || (overlay.text !== undefined ? 'text' : 'image');
+  if (!OVERLAY_TYPES.includes(type)) {
+    throw new Error(`${label}.type must be one of: ${OVERLAY_TYPES.join(', ')}`);
+  }
+
+  const position = overlay.position || (type === 'image' ? 'top-right' : 'lower-third');
+  if (!POSITIONS[position]) {
+    throw new Error(`${label}.position must be one of: ${Object.keys(POSITIONS).join(', ')}`);
+  }
+
+  const start = overlay.start === undefined ? 0 : parseTime(overlay.start);
+  const end = overlay.end === undefined ? null : parseTime(overlay.end);
+  if (!(start >= 0) || (end !== null && !(end > start))) {
+    throw new Error(`${label}.start and ${label}.end must be times with end after start`);
+  }
+
+  const common = {
+    type,
+    position,
+    // Below 1 the margin is a fraction of the frame width, otherwise pixels
+    margin: checkNumber(overlay.margin ?? 0.03, `${label}.margin`, 0, 500),
+    start,
+    end,
+    fadeIn: checkNumber(overlay.fadeIn ?? 0, `${label}.fadeIn`, 0, 10),
+    fadeOut: checkNumber(overlay.fadeOut ?? 0, `${label}.fadeOut`, 0, 10)
+  };
+
+  if (type === 'image') {
+    if (!overlay.source) {
+      throw new Error(`${label}.source is required`);
+    }
+    checkSource(overlay.source, `${label}.source`);
+    return {
+      ...common,
+      source: overlay.source,
+      // Width as a fraction of the frame width
+      scale: checkNumber(overlay.scale ?? 0.15, `${label}.scale`, 0.01, 1),
+      opacity: checkNumber(overlay.opacity ?? 1, `${label}.opacity`, 0, 1)
+    };
+  }
+
+  if (typeof overlay.text !== 'string' || !overlay.text.trim() || overlay.text.length > MAX_TEXT_LENGTH) {
+    throw new Error(`${label}.text must be text of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  const { fontColor = 'white', boxColor = position === 'lower-third' ? 'black@0.6' : null, font = null } = overlay;
+  [['fontColor', fontColor], ['boxColor', boxColor]].forEach(([key, value]) => {
+    if (value !== null && !COLOR_PATTERN.test(String(value))) {
+      throw new Error(`${label}.${key} must be a colour name or #RRGGBB[AA], optionally with @opacity`);
+    }
+  });
+  if (font !== null && !FONT_PATTERN.test(String(font))) {
+    throw new Error(`${label}.font contains unsupported characters`);
+  }
+  return {
+    ...common,
+    text: overlay.text,
+    // Below 1 the size is a fraction of the frame height, otherwise pixels
+    fontSize: checkNumber(overlay.fontSize ?? 0.045, `${label}.fontSize`, 0.005, 400),
+    fontColor,
+    boxColor,
+    font
+  };
+};
+
+// Check a list of overlays (a single overlay object is accepted too)
+const normalizeOverlays = (overlays) => {
+  const list = Array.isArray(overlays) ? overlays : [overlays];
+  if (list.length === 0 || list.length > MAX_OVERLAYS) {
+    throw new Error(`overlays must hold between 1 and ${MAX_OVERLAYS} overlays`);
+  }
+  return list.map((overlay, i) => normalizeOverlay(overlay, `overlays[${i}]`));
+};
+
+// Fetch logo images and write caption text to files; returns the overlays with their files
+// and the list of files to remove once the render is done
+const prepareOverlays = async (job, overlays, onProgress = null) => {
+  const prepared = [];
+  const files = [];
+  try {
+    for (const [i, overlay] of overlays.entries()) {
+      if (overlay.type === 'image') {
+        const filePath = await resolveInput(job, overlay.source, {
+          name: `overlay${i}`,
+          extension: 'png',
+          requirements: { requireImage: true }
+        });
+        files.push(filePath);
+        prepared.push({ ...overlay, filePath });
+      } else {
+        // drawtext reads the caption from a file so it needs no escaping
+        const textFile = jobs.jobFilePath(job, `overlaytext_${uuidv4()}.txt`);
+        await fs.writeFile(textFile, overlay.text, 'utf8');
+        files.push(textFile);
+        prepared.push({ ...overlay, textFile });
+      }
+      if (onProgress) onProgress({ percent: ((i + 1) / overlays.length) * 100 });
+    }
+  } catch (error) {
+    await removeOverlayFiles(files);
+    throw error;
+  }
+  return { overlays: prepared, files };
+};
+
+const removeOverlayFiles = async (files) => {
+  for (const filePath of files) {
+    await fs.unlink(filePath).catch(() => {});
+  }
+};
+
+// ffmpeg input arguments for the image overlays, in order; looping keeps a logo's fades moving
+const overlayInputArgs = (overlays) => overlays
+  .filter(overlay => overlay.type === 'image')
+  .flatMap(overlay => ['-loop', '1', '-i', overlay.filePath]);
+
+// When the overlay is on screen, or null for the whole video.
+// Without an end or a known duration it stays on from its start to the end of the video
+const timeWindow = (overlay, duration) => {
+  const knownDuration = duration > 0 ? duration : null;
+  const end = overlay.end === null ? knownDuration : Math.min(overlay.end, knownDuration || Infinity);
+  if (overlay.start === 0 && overlay.end === null) {
+    return { start: 0, end, enable: null };
+  }
+  if (end === null) {
+    return { start: overlay.start, end, enable: `gte(t\\,${overlay.start.toFixed(3)})` };
+  }
+  return { start: overlay.start, end, enable: `between(t\\,${overlay.start.toFixed(3)}\\,${end.toFixed(3)})` };
+};
+
+// Opacity over time for drawtext: ramps up over fadeIn from start and down over fadeOut before end
+const textAlpha = (overlay, start, end) => {
+  let expression = '1';
+  if (overlay.fadeOut > 0 && end) {
+    const fadeStart = Math.max(start, end - overlay.fadeOut);
+    expression = `if(gt(t\\,${fadeStart.toFixed(3)})\\,max(0\\,(${end.toFixed(3)}-t)/${overlay.fadeOut})\\,${expression})`;
+  }
+  if (overlay.fadeIn > 0) {
+    expression = `if(lt(t\\,${(start + overlay.fadeIn).toFixed(3)})\\,max(0\\,(t-${start.toFixed(3)})/${overlay.fadeIn})\\,${expression})`;
+  }
+  return expression === '1' ? null : expression;
+};
+
+// Substitute the margin into a position's expressions
+const positionFor = (overlay, frame, textVars = false) => {
+  const margin = overlay.margin < 1 ? Math.round(frame.width * overlay.margin) : overlay.margin;
+  const { x, y } = POSITIONS[overlay.position];
+  const toExpression = (expression) => {
+    const withMargin = expression.replace(/\bm\b/g, String(margin));
+    // drawtext calls the frame w/h and the text text_w/text_h
+    return textVars
+      ? withMargin.replace(/\bw\b/g, 'text_w').replace(/\bh\b/g, 'text_h').replace(/\bW\b/g, 'w').replace(/\bH\b/g, 'h')
+      : withMargin;
+  };
+  return { x: toExpression(x), y: toExpression(y) };
+};
+
+// Chain overlays onto the video from `input` to `output`; image overlays read ffmpeg inputs
+// from `firstInput` on, in list order. frame: { width, height }, duration in seconds
+const buildOverlayFilter = (overlays, { input, output, firstInput, frame, duration }) => {
+  const filters = [];
+  let current = input;
+  let nextInput = firstInput;
+
+  overlays.forEach((overlay, i) => {
+    const label = i === overlays.length - 1 ? output : `[ov${i}out]`;
+    const { start, end, enable } = timeWindow(overlay, duration);
+
+    if (overlay.type === 'image') {
+      const width = Math.max(2, Math.round((frame.width * overlay.scale) / 2) * 2);
+      const chain = [`[${nextInput++}:v]format=rgba`, `scale=${width}:-1`];
+      if (overlay.opacity < 1) {
+        chain.push(`colorchannelmixer=aa=${overlay.opacity}`);
+      }
+      if (overlay.fadeIn > 0) {
+        chain.push(`fade=t=in:st=${start.toFixed(3)}:d=${overlay.fadeIn}:alpha=1`);
+      }
+      if (overlay.fadeOut > 0 && end) {
+        chain.push(`fade=t=out:st=${Math.max(start, end - overlay.fadeOut).toFixed(3)}:d=${overlay.fadeOut}:alpha=1`);
+      }
+      filters.push(`${chain.join(',')}[ov${i}]`);
+
+      const { x, y } = positionFor(overlay, frame);
+      // shortest=1 stops at the end of the video, since the looped logo never ends
+      filters.push(`${current}[ov${i}]overlay=x=${x}:y=${y}:shortest=1${enable ? `:enable='${enable}'` : ''}${label}`);
+    } else {
+      const { x, y } = positionFor(overlay, frame, true);
+      const size = overlay.fontSize < 1 ? `h*${overlay.fontSize}` : String(overlay.fontSize);
+      const options = [
+        `textfile=${escapeFilterPath(overlay.textFile)}`,
+        'expansion=none',
+        `fontsize=${size}`,
+        `fontcolor=${overlay.fontColor}`,
+        `x=${x}`,
+        `y=${y}`
+      ];
+      if (overlay.font) {
+        options.push(`font=${overlay.font}`);
+      }
+      if (overlay.boxColor) {
+        options.push('box=1', `boxcolor=${overlay.boxColor}`, 'boxborderw=16');
+      }
+      const alpha = textAlpha(overlay, start, end);
+      if (alpha) {
+        options.push(`alpha='${alpha}'`);
+      }
+      if (enable) {
+        options.push(`enable='${enable}'`);
+      }
+      filters.push(`${current}drawtext=${options.join(':')}${label}`);
+    }
+    current = label;
+  });
+
+  return filters.join(';');
+};
+
+// Summary of the overlays for API responses
+const describeOverlays = (overlays) => overlays.map(overlay => ({
+  type: overlay.type,
+  position: overlay.position,
+  start: overlay.start,
+  end: overlay.end,
+  fadeIn: overlay.fadeIn,
+  fadeOut: overlay.fadeOut
+}));
+
+module.exports = {
+  POSITIONS,
+  normalizeOverlays,
+  prepareOverlays,
+  removeOverlayFiles,
+  overlayInputArgs,
+  buildOverlayFilter,
+  describeOverlays
+};
@@ -0,0 +1,68 @@
+const steps = require('./steps');
+
+const MAX_PIPELINE_STEPS = 20;
+
+// Which step receives each multipart upload when it does not name a source itself
+const UPLOAD_TARGETS = {
+  video: 'extract-audio',
+  music: 'add-music-subtitles',
+  thumbnail: 'merge-thumbnail-video'
+};
+
+// Parse the `steps` list of a /pipeline request into [{ step, params }]
+// Entries are either a step name or { step, params }; multipart bodies may send the list as JSON text
+const parsePipeline = (rawSteps, uploads = {}) => {
+  let list = rawSteps;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      throw new Error('steps must be a JSON array');
+    }
+  }
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('steps must be a non-empty array');
+  }
+  if (list.length > MAX_PIPELINE_STEPS) {
+    throw new Error(`A pipeline can have at most ${MAX_PIPELINE_STEPS} steps`);
+  }
+
+  const entries = list.map((entry, index) => {
+    const name = typeof entry === 'string' ? entry : entry && entry.step;
+    const step = steps[name];
+    if (!step) {
+      throw new Error(`steps[${index}]: unknown step "${name}". Available: ${Object.keys(steps).join(', ')}`);
+    }
+
+    const rawParams = typeof entry === 'object' ? entry.params : undefined;
+    if (rawParams !== undefined && (typeof rawParams !== 'object' || rawParams === null || Array.isArray(rawParams))) {
+      throw new Error(`steps[${index}].params must be an object`);
+    }
+    return { step, params: { ...rawParams } };
+  });
+
+  entries.forEach(({ step }, index) => {
+    if (step.name === 'extract-audio' && index !== 0) {
+      throw new Error('extract-audio can only be the first step of a pipeline');
+    }
+    if (step.name === 'cleanup' && index !== entries.length - 1) {
+      throw new Error('cleanup can only be the last step of a pipeline');
+    }
+  });
+
+  // Hand each uploaded file to the first step that takes that kind of media
+  Object.entries(UPLOAD_TARGETS).forEach(([field, stepName]) => {
+    if (!uploads[field]) return;
+    const target = entries.find(entry => entry.step.name === stepName && !entry.params[field]);
+    if (target) {
+      target.params[field] = uploads[field];
+    }
+  });
+
+  return entries;
+};
+
+module.exports = {
+  parsePipeline
+};
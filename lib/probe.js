@@ -0,0 +1,170 @@
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('./config');
+const HttpError = require('./http-error');
+
+// Inputs beyond these are rejected before any processing starts
+const LIMITS = {
+  maxBytes: config.limits.maxInputBytes,
+  maxDuration: config.limits.maxInputDuration
+};
+
+ffmpeg.setFfprobePath(config.ffmpeg.ffprobePath);
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Parse an ffprobe rational such as "30000/1001" into { num, den, value }
+const parseRational = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d+)\/(\d+)$/);
+  if (!match || Number(match[2]) === 0 || Number(match[1]) === 0) {
+    return null;
+  }
+  const num = Number(match[1]);
+  const den = Number(match[2]);
+  return { num, den, value: num / den };
+};
+
+// Rotation from the display matrix side data, or the older "rotate" tag
+const getRotation = (stream) => {
+  const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = sideData ? Number(sideData.rotation) : Number((stream.tags || {}).rotate) || 0;
+  return ((Math.round(rotation) % 360) + 360) % 360;
+};
+
+const normalizeStream = (stream) => {
+  const base = {
+    index: stream.index,
+    type: stream.codec_type,
+    codec: stream.codec_name || null,
+    codecLongName: stream.codec_long_name || null,
+    profile: stream.profile || null,
+    bitRate: toNumber(stream.bit_rate),
+    duration: toNumber(stream.duration),
+    language: (stream.tags || {}).language || null
+  };
+
+  if (stream.codec_type === 'video') {
+    const rotation = getRotation(stream);
+    const rotated = rotation === 90 || rotation === 270;
+    const fps = parseRational(stream.avg_frame_rate) || parseRational(stream.r_frame_rate);
+    return {
+      ...base,
+      width: stream.width || null,
+      height: stream.height || null,
+      // Size as played back, after applying the rotation
+      displayWidth: (rotated ? stream.height : stream.width) || null,
+      displayHeight: (rotated ? stream.width : stream.height) || null,
+      rotation,
+      fps,
+      pixelFormat: stream.pix_fmt || null,
+      // Cover art and still images show up as single-frame video streams
+      attachedPicture: !!(stream.disposition && stream.disposition.attached_pic)
+    };
+  }
+
+  if (stream.codec_type === 'audio') {
+    return {
+      ...base,
+      channels: stream.channels || null,
+      channelLayout: stream.channel_layout || null,
+      sampleRate: toNumber(stream.sample_rate)
+    };
+  }
+
+  return base;
+};
+
+// Run ffprobe and return normalized metadata for the container and every stream
+const probeMedia = (filePath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Could not probe media: ${err.message}`));
+        return;
+      }
+
+      const format = metadata.format || {};
+      const streams = (metadata.streams || []).map(normalizeStream);
+      resolve({
+        container: {
+          format: format.format_name || null,
+          formatLongName: format.format_long_name || null,
+          size: toNumber(format.size),
+          bitRate: toNumber(format.bit_rate)
+        },
+        duration: toNumber(format.duration),
+        streams,
+        video: streams.find(stream => stream.type === 'video' && !stream.attachedPicture) || null,
+        audio: streams.find(stream => stream.type === 'audio') || null
+      });
+    });
+  });
+};
+
+// List what makes a probed input unusable for the given requirements
+// (requireVideo, requireAudio, requireImage, maxBytes, maxDuration)
+const findMediaProblems = (probe, requirements = {}) => {
+  const {
+    requireVideo = false,
+    requireAudio = false,
+    requireImage = false,
+    maxBytes = LIMITS.maxBytes,
+    maxDuration = LIMITS.maxDuration
+  } = requirements;
+  const problems = [];
+
+  if (requireVideo && !probe.video) {
+    problems.push('has no video stream');
+  }
+  if (requireImage && !probe.streams.some(stream => stream.type === 'video')) {
+    problems.push('is not an image');
+  }
+  if (requireAudio && !probe.audio) {
+    problems.push('has no audio stream');
+  }
+  if (probe.container.size && probe.container.size > maxBytes) {
+    problems.push(`is ${probe.container.size} bytes, more than the ${maxBytes} byte limit`);
+  }
+  if (!requireImage && probe.duration && probe.duration > maxDuration) {
+    problems.push(`is ${Math.round(probe.duration)}s long, more than the ${maxDuration}s limit`);
+  }
+
+  return problems;
+};
+
+// Probe a local input and reject it (422) when it cannot be used, before any encode starts
+const inspectInput = async (filePath, label, requirements = {}) => {
+  const { maxBytes = LIMITS.maxBytes } = requirements;
+
+  const stats = await fs.stat(filePath);
+  if (stats.size === 0) {
+    throw new HttpError(422, `The ${label} file is empty`);
+  }
+  if (stats.size > maxBytes) {
+    throw new HttpError(422, `The ${label} file is ${stats.size} bytes, more than the ${maxBytes} byte limit`);
+  }
+
+  let probe;
+  try {
+    probe = await probeMedia(filePath);
+  } catch (error) {
+    throw new HttpError(422, `The ${label} is not a readable media file (${error.message})`);
+  }
+
+  const problems = findMediaProblems(probe, requirements);
+  if (problems.length > 0) {
+    throw new HttpError(422, `The ${label} ${problems.join(', ')}`);
+  }
+  return probe;
+};
+
+module.exports = {
+  LIMITS,
+  parseRational,
+  probeMedia,
+  findMediaProblems,
+  inspectInput
+};
@@ -0,0 +1,84 @@
+// Named output profiles for the platforms we publish to
+const OUTPUT_PROFILES = {
+  tiktok: { width: 1080, height: 1920, fps: 30, maxrate: '8M', bufsize: '16M', crf: 21, audioBitrate: '128k' },
+  reels: { width: 1080, height: 1920, fps: 30, maxrate: '8M', bufsize: '16M', crf: 21, audioBitrate: '128k' },
+  shorts: { width: 1080, height: 1920, fps: 30, maxrate: '10M', bufsize: '20M', crf: 20, audioBitrate: '128k' },
+  youtube: { width: 1920, height: 1080, fps: 30, maxrate: '12M', bufsize: '24M', crf: 20, audioBitrate: '192k' },
+  'youtube-720p': { width: 1280, height: 720, fps: 30, maxrate: '6M', bufsize: '12M', crf: 21, audioBitrate: '128k' },
+  square: { width: 1080, height: 1080, fps: 30, maxrate: '6M', bufsize: '12M', crf: 21, audioBitrate: '128k' },
+  portrait: { width: 1080, height: 1350, fps: 30, maxrate: '6M', bufsize: '12M', crf: 21, audioBitrate: '128k' }
+};
+
+// How a source with a different aspect ratio is fitted into the profile's frame
+const REFRAME_MODES = ['pad', 'blur', 'crop'];
+
+// Look up the profile and reframe mode a request asked for; null when none was requested
+const resolveOutputProfile = (params) => {
+  const { outputProfile, reframe = 'pad' } = params;
+  if (!outputProfile) {
+    return null;
+  }
+
+  const profile = OUTPUT_PROFILES[outputProfile];
+  if (!profile) {
+    throw new Error(`Unknown outputProfile "${outputProfile}". Available: ${Object.keys(OUTPUT_PROFILES).join(', ')}`);
+  }
+  if (!REFRAME_MODES.includes(reframe)) {
+    throw new Error(`reframe must be one of: ${REFRAME_MODES.join(', ')}`);
+  }
+
+  return { name: outputProfile, reframe, ...profile };
+};
+
+// Filter graph segment that fits `input` into the profile frame and labels it `output`
+// Labels include brackets, e.g. buildReframeFilter('[0:v]', '[vout]', profile)
+const buildReframeFilter = (input, output, profile) => {
+  const { width: w, height: h, fps, reframe } = profile;
+  const id = output.replace(/[[\]]/g, '');
+
+  switch (reframe) {
+    case 'crop':
+      return `${input}scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h},setsar=1,fps=${fps}${output}`;
+    case 'blur':
+      // The source, scaled to fit, sits on a blurred copy of itself scaled to fill
+      return [
+        `${input}split=2[${id}_bg][${id}_fg]`,
+        `[${id}_bg]scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h},boxblur=20:5[${id}_blur]`,
+        `[${id}_fg]scale=${w}:${h}:force_original_aspect_ratio=decrease[${id}_fit]`,
+        `[${id}_blur][${id}_fit]overlay=(W-w)/2:(H-h)/2,setsar=1,fps=${fps}${output}`
+      ].join(';');
+    case 'pad':
+    default:
+      return `${input}scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:black,setsar=1,fps=${fps}${output}`;
+  }
+};
+
+// Encoder options that keep the output within the profile's limits
+const profileOutputOptions = (profile) => [
+  '-crf', String(profile.crf),
+  '-maxrate', profile.maxrate,
+  '-bufsize', profile.bufsize,
+  '-profile:v', 'high',
+  '-pix_fmt', 'yuv420p',
+  '-r', String(profile.fps),
+  '-b:a', profile.audioBitrate,
+  '-ar', '48000'
+];
+
+// Summary of the applied profile for API responses
+const describeProfile = (profile) => profile && {
+  name: profile.name,
+  reframe: profile.reframe,
+  width: profile.width,
+  height: profile.height,
+  fps: profile.fps
+};
+
+module.exports = {
+  OUTPUT_PROFILES,
+  REFRAME_MODES,
+  resolveOutputProfile,
+  buildReframeFilter,
+  profileOutputOptions,
+  describeProfile
+};
@@ -0,0 +1,332 @@
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const axios = require('axios');
+const s3 = require('./s3');
+const config = require('./config');
+const log = require('./logger');
+const metrics = require('./metrics');
+const { hashFile } = require('./checksum');
+
+const DESTINATION_TYPES = ['s3', 'http', 'webdav', 'drive'];
+
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const PROGRESS_INTERVAL = 500;
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.srt': 'application/x-subrip',
+  '.vtt': 'text/vtt',
+  '.json': 'application/json'
+};
+
+const uploadsTotal = metrics.counter('video_uploads_total', 'Outputs published, by destination (s3, http, webdav, drive) and outcome.', ['destination', 'outcome']);
+const uploadBytes = metrics.counter('video_upload_bytes_total', 'Bytes of outputs published, by destination.', ['destination']);
+const uploadDuration = metrics.histogram('video_upload_duration_seconds', 'Time uploads took, by destination.', ['destination']);
+
+const isHttpUrl = (value) => /^https?:\/\//i.test(value || '');
+
+// Turn a request value into a destination descriptor { type, ... }
+// Strings are s3:// URIs or HTTP(S) URLs to PUT to (e.g. presigned links); WebDAV and Drive need an object
+const parseDestination = (value) => {
+  if (value === undefined || value === null || value === '') {
+    throw new Error('destination is required');
+  }
+
+  let destination;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('s3://')) {
+      destination = { type: 's3', ...s3.parseS3Uri(trimmed) };
+    } else if (isHttpUrl(trimmed)) {
+      destination = { type: 'http', url: trimmed };
+    } else {
+      throw new Error('destination must be an s3:// URI, an http(s) URL or an object with a type');
+    }
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    destination = { ...value };
+    if (!DESTINATION_TYPES.includes(destination.type)) {
+      throw new Error(`destination type must be one of: ${DESTINATION_TYPES.join(', ')}`);
+    }
+    if (destination.type === 's3' && destination.uri) {
+      Object.assign(destination, s3.parseS3Uri(destination.uri));
+    }
+  } else {
+    throw new Error('destination must be a string or an object with a type');
+  }
+
+  validateDestination(destination);
+  return destination;
+};
+
+const validateDestination = (destination) => {
+  if (destination.headers !== undefined && (typeof destination.headers !== 'object' || destination.headers === null)) {
+    throw new Error('destination headers must be an object');
+  }
+
+  switch (destination.type) {
+    case 's3':
+      if (!destination.bucket || !destination.key) {
+        throw new Error('S3 destinations need a bucket and key (or s3://bucket/key)');
+      }
+      break;
+    case 'http':
+      if (!isHttpUrl(destination.url)) {
+        throw new Error('HTTP destinations need an http(s) url');
+      }
+      if (destination.method !== undefined && !['PUT', 'POST'].includes(String(destination.method).toUpperCase())) {
+        throw new Error('HTTP destination method must be PUT or POST');
+      }
+      break;
+    case 'webdav':
+      if (!isHttpUrl(destination.url)) {
+        throw new Error('WebDAV destinations need an http(s) url');
+      }
+      if ((destination.username !== undefined) !== (destination.password !== undefined)) {
+        throw new Error('WebDAV destinations need both username and password, or neither');
+      }
+      break;
+    case 'drive':
+      if (!destination.accessToken) {
+        throw new Error('Drive destinations need an OAuth accessToken with drive.file scope');
+      }
+      break;
+  }
+};
+
+// A folder-like destination gets each file under its own name, so several files can go to it
+const isFolder = (destination) => {
+  switch (destination.type) {
+    case 's3':
+      return destination.key.endsWith('/');
+    case 'drive':
+      return !destination.name;
+    default:
+      return new URL(destination.url).pathname.endsWith('/');
+  }
+};
+
+// Append the file name to a URL whose path ends in "/", keeping any query string
+const fileUrl = (url, fileName) => {
+  const parsed = new URL(url);
+  if (parsed.pathname.endsWith('/')) {
+    parsed.pathname += encodeURIComponent(fileName);
+  }
+  return parsed.toString();
+};
+
+// Presigned URLs carry their signature in the query, which must not end up in job results
+const publicLocation = (url) => {
+  const parsed = new URL(url);
+  parsed.search = '';
+  parsed.username = '';
+  parsed.password = '';
+  return parsed.toString();
+};
+
+// Read stream of the file reporting { phase: 'upload', bytes, totalBytes, percent } as it is sent
+const openUpload = (file, onProgress) => {
+  const stream = fsSync.createReadStream(file.path);
+  if (!onProgress) return stream;
+
+  let bytes = 0;
+  let lastReport = 0;
+  const report = () => onProgress({
+    phase: 'upload',
+    bytes,
+    totalBytes: file.size,
+    percent: file.size ? Math.min(100, (bytes / file.size) * 100) : 100
+  });
+  stream.on('data', (chunk) => {
+    bytes += chunk.length;
+    const now = Date.now();
+    if (now - lastReport >= PROGRESS_INTERVAL) {
+      lastReport = now;
+      report();
+    }
+  });
+  stream.on('end', report);
+  return stream;
+};
+
+const etagOf = (response) => (response.headers.etag || '').replace(/^W\//, '').replace(/"/g, '') || null;
+
+// Digests a server may send back for what it stored (base64), by our algorithm name
+const CHECKSUM_HEADERS = { md5: 'content-md5', sha256: 'x-amz-checksum-sha256' };
+
+// true/false when the response carries a checksum of the stored body, null when it does not;
+// ETags are left alone, since outside S3 they are rarely an MD5
+const remoteChecksumMatches = (response, file) => {
+  const checked = Object.entries(CHECKSUM_HEADERS).filter(([, header]) => response.headers[header]);
+  if (checked.length === 0) return null;
+  return checked.every(([algorithm, header]) => Buffer.from(response.headers[header], 'base64').toString('hex') === file[algorithm]);
+};
+
+// A server that says it stored something else has not got our file
+const checkRemoteChecksum = (response, file) => {
+  const verified = remoteChecksumMatches(response, file);
+  if (verified === false) {
+    throw new Error('The server reported a checksum that does not match the uploaded file');
+  }
+  return verified;
+};
+
+// Create each missing collection above the file; 405 means it exists already
+const makeCollections = async (url, requestOptions) => {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/').filter(Boolean).slice(0, -1);
+  let collectionPath = '';
+  for (const segment of segments) {
+    collectionPath += `/${segment}`;
+    await axios({
+      ...requestOptions,
+      method: 'MKCOL',
+      url: `${parsed.origin}${collectionPath}/`,
+      validateStatus: status => (status >= 200 && status < 300) || status === 405
+    });
+  }
+};
+
+// Each uploader sends one file and returns where it went; `verified` says whether the remote
+// side checked or reported back the file's checksum (null when it gave no way to tell)
+const UPLOADERS = {
+  async s3(destination, file, onProgress) {
+    const key = destination.key.endsWith('/') ? `${destination.key}${file.name}` : destination.key;
+    const { url, etag } = await s3.uploadObject(destination.bucket, key, () => openUpload(file, onProgress), {
+      size: file.size,
+      sha256: file.sha256,
+      md5: file.md5,
+      contentType: file.contentType
+    });
+    return { location: `s3://${destination.bucket}/${key}`, url, etag, verified: true };
+  },
+
+  async http(destination, file, onProgress) {
+    const url = fileUrl(destination.url, file.name);
+    const response = await axios({
+      method: (destination.method || 'PUT').toUpperCase(),
+      url,
+      headers: { 'Content-Type': file.contentType, 'Content-Length': file.size, ...destination.headers },
+      data: openUpload(file, onProgress),
+      maxBodyLength: Infinity,
+      // A redirect would need the body sent again, which a stream cannot do
+      maxRedirects: 0,
+      timeout: config.timeouts.upload
+    });
+    return { location: publicLocation(url), etag: etagOf(response), verified: checkRemoteChecksum(response, file) };
+  },
+
+  async webdav(destination, file, onProgress) {
+    const url = fileUrl(destination.url, file.name);
+    const requestOptions = {
+      headers: { ...destination.headers },
+      auth: destination.username !== undefined ? { username: destination.username, password: String(destination.password) } : undefined,
+      maxRedirects: 0,
+      timeout: config.timeouts.upload
+    };
+
+    if (destination.createDirectories) {
+      await makeCollections(url, requestOptions);
+    }
+    const response = await axios({
+      ...requestOptions,
+      method: 'PUT',
+      url,
+      headers: { ...requestOptions.headers, 'Content-Type': file.contentType, 'Content-Length': file.size },
+      data: openUpload(file, onProgress),
+      maxBodyLength: Infinity
+    });
+
+    // Ask what the server stored; not every server answers HEAD with a length
+    const head = await axios({ ...requestOptions, method: 'HEAD', url }).catch(() => null);
+    const remoteSize = head ? parseInt(head.headers['content-length'], 10) : NaN;
+    if (!Number.isNaN(remoteSize) && remoteSize !== file.size) {
+      throw new Error(`WebDAV server stored ${remoteSize} bytes, expected ${file.size}`);
+    }
+    return { location: publicLocation(url), verified: checkRemoteChecksum(response, file) };
+  },
+
+  async drive(destination, file, onProgress) {
+    const authorization = { Authorization: `Bearer ${destination.accessToken}` };
+    const metadata = { name: destination.name || file.name };
+    if (destination.folderId) {
+      metadata.parents = [destination.folderId];
+    }
+
+    // Resumable upload: the first request creates the file, the session URL takes the bytes
+    const session = await axios.post(DRIVE_UPLOAD_URL, metadata, {
+      params: { uploadType: 'resumable', supportsAllDrives: true, fields: 'id,name,size,md5Checksum' },
+      headers: { ...authorization, 'X-Upload-Content-Type': file.contentType, 'X-Upload-Content-Length': file.size },
+      timeout: config.timeouts.upload
+    });
+    const response = await axios.put(session.headers.location, openUpload(file, onProgress), {
+      headers: { ...authorization, 'Content-Type': file.contentType, 'Content-Length': file.size },
+      maxBodyLength: Infinity,
+      timeout: config.timeouts.upload
+    });
+
+    const { id, md5Checksum } = response.data;
+    if (md5Checksum && md5Checksum !== file.md5) {
+      throw new Error(`Google Drive stored a file with MD5 ${md5Checksum}, expected ${file.md5}`);
+    }
+    return { location: `https://drive.google.com/file/d/${id}/view`, fileId: id, verified: md5Checksum ? true : null };
+  }
+};
+
+// Error responses (S3 XML, JSON) usually say more than the status line
+const describeFailure = (error) => {
+  const data = error.response && error.response.data;
+  if (!data) return error.message;
+  const detail = typeof data === 'string' ? data : JSON.stringify(data);
+  return `${error.message}: ${detail.replace(/\s+/g, ' ').slice(0, 300)}`;
+};
+
+// Upload a local file to a parsed destination; `name` is used where the destination is a folder
+const publishFile = async (filePath, destination, options = {}) => {
+  const { name = path.basename(filePath), onProgress = null } = options;
+  const { size } = await fs.stat(filePath);
+  const file = {
+    path: filePath,
+    name,
+    size,
+    contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    ...(await hashFile(filePath, ['sha256', 'md5']))
+  };
+
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await UPLOADERS[destination.type](destination, file, onProgress);
+  } catch (error) {
+    uploadsTotal.inc({ destination: destination.type, outcome: 'failed' });
+    throw new Error(`${destination.type} upload failed: ${describeFailure(error)}`);
+  }
+
+  uploadsTotal.inc({ destination: destination.type, outcome: 'completed' });
+  uploadBytes.inc({ destination: destination.type }, size);
+  uploadDuration.observe({ destination: destination.type }, metrics.secondsSince(startedAt));
+  log.info('Published output', { destination: destination.type, location: result.location, bytes: size, durationMs: Date.now() - startedAt });
+
+  return {
+    destination: destination.type,
+    ...result,
+    size,
+    checksum: { sha256: file.sha256, md5: file.md5 }
+  };
+};
+
+module.exports = {
+  DESTINATION_TYPES,
+  parseDestination,
+  isFolder,
+  publishFile
+};
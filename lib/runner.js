@@ -0,0 +1,206 @@
+const axios = require('axios');
+const jobs = require('./jobs');
+const storage = require('./storage');
+const config = require('./config');
+const log = require('./logger');
+const metrics = require('./metrics');
+const HttpError = require('./http-error');
+
+const CALLBACK_ATTEMPTS = 3;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const stepsTotal = metrics.counter('video_steps_total', 'Steps run, alone or in a pipeline, by outcome (completed, failed, cancelled).', ['step', 'outcome']);
+const stepDuration = metrics.histogram('video_step_duration_seconds', 'Time steps took, by outcome.', ['step', 'outcome']);
+const pipelinesTotal = metrics.counter('video_pipelines_total', 'Pipelines run, by outcome.', ['outcome']);
+const pipelineDuration = metrics.histogram('video_pipeline_duration_seconds', 'Time whole pipelines took, by outcome.', ['outcome']);
+
+const outcomeOf = (job, error) => {
+  if (!error) return 'completed';
+  return job.cancelRequested ? 'cancelled' : 'failed';
+};
+
+const recordStep = (job, stepName, startedAt, error = null) => {
+  const outcome = outcomeOf(job, error);
+  stepsTotal.inc({ step: stepName, outcome });
+  stepDuration.observe({ step: stepName, outcome }, metrics.secondsSince(startedAt));
+};
+
+// POST the finished job to the caller's webhook, retrying a few times
+const sendCallback = async (job, callbackUrl) => {
+  const payload = jobs.describeJob(job);
+
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    try {
+      await axios.post(callbackUrl, payload, { timeout: config.timeouts.callback });
+      log.info('Callback delivered', { url: callbackUrl, attempt });
+      job.callback = { url: callbackUrl, deliveredAt: new Date().toISOString(), error: null };
+      return;
+    } catch (error) {
+      log.warn('Callback attempt failed', { url: callbackUrl, attempt, error: error.message });
+      job.callback = { url: callbackUrl, deliveredAt: null, error: error.message };
+      if (attempt < CALLBACK_ATTEMPTS) {
+        await wait(attempt * 2000);
+      }
+    }
+  }
+};
+
+// Run work on a job, tracking its state, progress, result and error
+// Everything logged while it runs carries the job's ID
+const execute = (job, stepName, work) => log.withJob(job, () => track(job, stepName, work));
+
+const track = async (job, stepName, work) => {
+  if (job.status === 'running') {
+    throw new HttpError(409, `Job ${job.id} is already running step ${job.step}`);
+  }
+
+  job.status = 'running';
+  job.step = stepName;
+  job.progress = 0;
+  job.result = null;
+  job.error = null;
+  job.startedAt = new Date().toISOString();
+  job.finishedAt = null;
+  job.cancelRequested = false;
+  jobs.publish(job, 'status', { status: job.status, step: stepName });
+  log.info('Job started', { step: stepName, priority: job.priority });
+
+  let failure = null;
+  try {
+    const result = await work();
+    job.status = 'completed';
+    job.progress = 100;
+    job.result = result;
+    return result;
+  } catch (error) {
+    failure = error;
+    job.status = outcomeOf(job, error);
+    job.error = { message: error.message, status: error.status || 500 };
+    if (error.report) {
+      job.result = error.report;
+    }
+    throw error;
+  } finally {
+    job.cancelRequested = false;
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+    jobs.publish(job, 'status', { status: job.status, step: stepName, error: job.error });
+    const durationMs = new Date(job.finishedAt) - new Date(job.startedAt);
+    const level = { completed: 'info', cancelled: 'warn' }[job.status] || 'error';
+    // Unexpected errors keep their stack; expected ones (with an HTTP status) only need the message
+    const error = failure && (failure.status ? failure.message : failure);
+    log[level]('Job finished', { step: stepName, status: job.status, durationMs, error: error || undefined });
+  }
+};
+
+// Fail before a step starts writing media when the disk or quota cannot take it
+const checkSpace = async (job, step) => {
+  if (step.writesMedia === false) return;
+  await storage.ensureSpace(storage.estimateStepSpace(job));
+};
+
+// Run one step of a job
+const runStep = (job, step, params = {}, context = {}) => {
+  return execute(job, step.name, async () => {
+    jobs.publish(job, 'step', { step: step.name, status: 'running' });
+    const startedAt = Date.now();
+    try {
+      await checkSpace(job, step);
+      const result = await step.run(job, params, context);
+      recordStep(job, step.name, startedAt);
+      jobs.publish(job, 'step', { step: step.name, status: 'completed' });
+      return result;
+    } catch (error) {
+      recordStep(job, step.name, startedAt, error);
+      jobs.publish(job, 'step', { step: step.name, status: 'failed', error: error.message });
+      throw error;
+    }
+  });
+};
+
+// Run several steps in order on one job, stopping at the first failure
+// Resolves with a per-step report; on failure the error carries the same report
+const runPipeline = (job, entries, context = {}) => {
+  const report = entries.map(entry => ({ step: entry.step.name, status: 'pending', result: null, error: null }));
+
+  return execute(job, 'pipeline', async () => {
+    job.pipeline = report;
+    const pipelineStartedAt = Date.now();
+
+    for (let i = 0; i < entries.length; i++) {
+      const { step, params } = entries[i];
+      const entryReport = report[i];
+
+      job.step = step.name;
+      job.progress = 0;
+      entryReport.status = 'running';
+      entryReport.startedAt = new Date().toISOString();
+      jobs.publish(job, 'step', { step: step.name, index: i, count: entries.length, status: 'running' });
+      const startedAt = Date.now();
+
+      try {
+        // Steps without ffmpeg work cannot be interrupted, so a cancelled pipeline stops between steps
+        if (job.cancelRequested) {
+          throw new HttpError(409, `Job ${job.id} was cancelled`);
+        }
+        step.validate(job, params);
+        await checkSpace(job, step);
+        entryReport.result = await step.run(job, params, context);
+        recordStep(job, step.name, startedAt);
+        entryReport.status = 'completed';
+        jobs.publish(job, 'step', { step: step.name, index: i, count: entries.length, status: 'completed' });
+      } catch (error) {
+        recordStep(job, step.name, startedAt, error);
+        pipelinesTotal.inc({ outcome: outcomeOf(job, error) });
+        pipelineDuration.observe({ outcome: outcomeOf(job, error) }, metrics.secondsSince(pipelineStartedAt));
+        entryReport.status = 'failed';
+        entryReport.error = { message: error.message, status: error.status || 500 };
+        jobs.publish(job, 'step', { step: step.name, index: i, count: entries.length, status: 'failed', error: error.message });
+        report.slice(i + 1).forEach((skipped) => {
+          skipped.status = 'skipped';
+        });
+
+        const pipelineError = new Error(`Pipeline step ${i + 1} (${step.name}) failed: ${error.message}`);
+        pipelineError.status = error.status;
+        pipelineError.report = { success: false, jobId: job.id, failedStep: i, steps: report };
+        throw pipelineError;
+      } finally {
+        entryReport.finishedAt = new Date().toISOString();
+      }
+    }
+
+    pipelinesTotal.inc({ outcome: 'completed' });
+    pipelineDuration.observe({ outcome: 'completed' }, metrics.secondsSince(pipelineStartedAt));
+    return { success: true, jobId: job.id, steps: report };
+  });
+};
+
+// Start work in the background and notify the callback URL when it finishes
+const startInBackground = (job, work, callbackUrl = null) => {
+  work()
+    // execute has logged the failure; the job's status and error tell the caller
+    .catch(() => {})
+    .then(() => {
+      if (callbackUrl) {
+        return sendCallback(job, callbackUrl);
+      }
+    });
+};
+
+// Start a step in the background
+const startStep = (job, step, params = {}, context = {}, callbackUrl = null) => {
+  startInBackground(job, () => runStep(job, step, params, context), callbackUrl);
+};
+
+// Start a pipeline in the background
+const startPipeline = (job, entries, context = {}, callbackUrl = null) => {
+  startInBackground(job, () => runPipeline(job, entries, context), callbackUrl);
+};
+
+module.exports = {
+  runStep,
+  runPipeline,
+  startStep,
+  startPipeline
+};
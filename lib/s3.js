@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('./config');
+const { fetchToFile } = require('./download');
+
+// S3-compatible storage settings (AWS, MinIO, R2, ...); without an endpoint, AWS in the configured region
+const getS3Settings = () => ({
+  endpoint: config.s3.endpoint || `https://s3.${config.s3.region}.amazonaws.com`,
+  region: config.s3.region,
+  accessKeyId: config.s3.accessKeyId,
+  secretAccessKey: config.s3.secretAccessKey
+});
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const uriEncode = (value) => {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+// Path-style object URL: <endpoint>/<bucket>/<key>
+const objectUrl = (settings, bucket, key) => {
+  const encodedKey = key.split('/').map(uriEncode).join('/');
+  return `${settings.endpoint.replace(/\/+$/, '')}/${uriEncode(bucket)}/${encodedKey}`;
+};
+
+// Sign a request with AWS Signature Version 4, returning the headers to send
+const signRequest = (settings, { method, url, headers = {}, payloadHash = 'UNSIGNED-PAYLOAD' }) => {
+  if (!settings.accessKeyId || !settings.secretAccessKey) {
+    throw new Error('S3 credentials are not configured (S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY)');
+  }
+
+  const parsed = new URL(url);
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const allHeaders = {
+    ...headers,
+    host: parsed.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = {};
+  Object.entries(allHeaders).forEach(([name, value]) => {
+    lowerHeaders[name.toLowerCase()] = String(value).trim();
+  });
+
+  const canonicalQuery = Array.from(parsed.searchParams.entries())
+    .map(([name, value]) => `${uriEncode(name)}=${uriEncode(value)}`)
+    .sort()
+    .join('&');
+  const canonicalHeaders = headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    parsed.pathname,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${settings.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${settings.secretAccessKey}`, dateStamp), settings.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...allHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${settings.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+// Download an object to a local file (options as for download.fetchToFile)
+// Every attempt is signed afresh, since a retry may come after the signature's clock skew window
+const downloadObject = (bucket, key, filepath, options = {}) => {
+  const settings = getS3Settings();
+  const url = objectUrl(settings, bucket, key);
+  return fetchToFile(url, filepath, {
+    ...options,
+    signHeaders: headers => signRequest(settings, { method: 'GET', url, headers })
+  });
+};
+
+// Single PUTs are capped at 5 GiB; anything bigger would need a multipart upload
+const MAX_PUT_BYTES = 5 * 1024 ** 3;
+
+// Upload a file stream as an object. The signed SHA-256 and Content-MD5 make the
+// server reject a body that arrives damaged, so a 2xx reply confirms the upload.
+// openBody() is only called once the size and credentials have passed, so a refused
+// upload leaves no file open; the stream is destroyed if the request fails
+const uploadObject = async (bucket, key, openBody, options = {}) => {
+  const { size, sha256: payloadHash, md5, contentType = 'application/octet-stream' } = options;
+  if (size > MAX_PUT_BYTES) {
+    throw new Error(`S3 uploads are limited to ${MAX_PUT_BYTES} bytes, the file has ${size}`);
+  }
+
+  const settings = getS3Settings();
+  const url = objectUrl(settings, bucket, key);
+  const headers = signRequest(settings, {
+    method: 'PUT',
+    url,
+    headers: {
+      'content-length': size,
+      'content-type': contentType,
+      'content-md5': Buffer.from(md5, 'hex').toString('base64')
+    },
+    payloadHash
+  });
+
+  const body = openBody();
+  let response;
+  try {
+    response = await axios({
+      method: 'PUT',
+      url,
+      headers,
+      data: body,
+      maxBodyLength: Infinity,
+      timeout: options.timeout || config.timeouts.upload
+    });
+  } catch (error) {
+    body.destroy();
+    throw error;
+  }
+
+  return {
+    url,
+    etag: (response.headers.etag || '').replace(/"/g, '') || null
+  };
+};
+
+// Parse "s3://bucket/key/with/slashes"
+const parseS3Uri = (uri) => {
+  const match = uri.match(/^s3:\/\/([^/]+)\/(.+)$/);
+  if (!match) {
+    throw new Error(`Invalid S3 URI: ${uri}`);
+  }
+  return { bucket: match[1], key: match[2] };
+};
+
+module.exports = {
+  MAX_PUT_BYTES,
+  getS3Settings,
+  objectUrl,
+  signRequest,
+  downloadObject,
+  uploadObject,
+  parseS3Uri
+};
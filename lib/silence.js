@@ -0,0 +1,59 @@
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Parse silencedetect output from ffmpeg stderr into { start, end, duration } ranges
+const parseSilenceOutput = (stderr, totalDuration) => {
+  const ranges = [];
+  let currentStart = null;
+
+  stderr.split(/\r?\n/).forEach((line) => {
+    const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (startMatch) {
+      currentStart = Math.max(0, parseFloat(startMatch[1]));
+      return;
+    }
+
+    const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+    if (endMatch && currentStart !== null) {
+      const end = parseFloat(endMatch[1]);
+      ranges.push({ start: round(currentStart), end: round(end), duration: round(end - currentStart) });
+      currentStart = null;
+    }
+  });
+
+  // Silence that runs to the end of the file has no silence_end line
+  if (currentStart !== null && totalDuration > currentStart) {
+    ranges.push({ start: round(currentStart), end: round(totalDuration), duration: round(totalDuration - currentStart) });
+  }
+
+  return ranges;
+};
+
+// Turn silent ranges into the ranges to keep, leaving `padding` seconds of silence around speech
+const computeKeepRanges = (silentRanges, totalDuration, padding = 0) => {
+  const removed = silentRanges
+    .map(({ start, end }) => ({
+      // Silence at the very start or end of the file needs no padding on that side
+      start: start <= 0 ? 0 : start + padding,
+      end: end >= totalDuration ? totalDuration : end - padding
+    }))
+    .filter(({ start, end }) => end - start > 0);
+
+  const keep = [];
+  let cursor = 0;
+  removed.forEach(({ start, end }) => {
+    if (start > cursor) {
+      keep.push({ start: round(cursor), end: round(start) });
+    }
+    cursor = Math.max(cursor, end);
+  });
+  if (cursor < totalDuration) {
+    keep.push({ start: round(cursor), end: round(totalDuration) });
+  }
+
+  return keep;
+};
+
+module.exports = {
+  parseSilenceOutput,
+  computeKeepRanges
+};
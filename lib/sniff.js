@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const HttpError = require('./http-error');
+const { probeMedia } = require('./probe');
+
+const SNIFF_BYTES = 512;
+
+// Leading bytes of the formats we usually get. "media" containers can hold video or just audio
+const SIGNATURES = [
+  { format: 'mp4/mov', kind: 'media', test: buf => buf.toString('latin1', 4, 8) === 'ftyp' && !/^(heic|heix|mif1|avif)$/.test(buf.toString('latin1', 8, 12)) },
+  { format: 'heif', kind: 'image', test: buf => buf.toString('latin1', 4, 8) === 'ftyp' },
+  { format: 'matroska/webm', kind: 'media', test: buf => buf.readUInt32BE(0) === 0x1a45dfa3 },
+  { format: 'ogg', kind: 'media', test: buf => buf.toString('latin1', 0, 4) === 'OggS' },
+  { format: 'asf', kind: 'media', test: buf => buf.readUInt32BE(0) === 0x3026b275 },
+  { format: 'avi', kind: 'video', test: buf => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'AVI ' },
+  { format: 'gif', kind: 'image', test: buf => buf.toString('latin1', 0, 4) === 'GIF8' },
+  { format: 'flv', kind: 'video', test: buf => buf.toString('latin1', 0, 3) === 'FLV' },
+  // 188-byte packets each starting with a 0x47 sync byte; one lone "G" is too common in text to count
+  { format: 'mpegts', kind: 'video', test: buf => buf.length > 376 && buf[0] === 0x47 && buf[188] === 0x47 && buf[376] === 0x47 },
+  { format: 'mpeg', kind: 'video', test: buf => buf.readUInt32BE(0) === 0x000001ba },
+  { format: 'wav', kind: 'audio', test: buf => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WAVE' },
+  { format: 'webp', kind: 'image', test: buf => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP' },
+  { format: 'mp3', kind: 'audio', test: buf => buf.toString('latin1', 0, 3) === 'ID3' },
+  { format: 'flac', kind: 'audio', test: buf => buf.toString('latin1', 0, 4) === 'fLaC' },
+  // MPEG audio / ADTS frame sync: 11 set bits
+  { format: 'mp3/aac', kind: 'audio', test: buf => buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0 && buf[1] !== 0xff },
+  { format: 'jpeg', kind: 'image', test: buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { format: 'png', kind: 'image', test: buf => buf.readUInt32BE(0) === 0x89504e47 }
+];
+
+// Error pages and API responses: markup, JSON, or nothing but printable text
+const looksLikeText = (buf) => {
+  const start = buf.toString('utf8', 0, Math.min(buf.length, 64)).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<!doctype|<html|<\?xml|<[a-z]|\{|\[)/i.test(start)) {
+    return true;
+  }
+  return buf.every(byte => byte === 0x09 || byte === 0x0a || byte === 0x0d || (byte >= 0x20 && byte < 0x7f));
+};
+
+// What leading bytes say a file is: { kind: video|audio|image|media|text|null, format }
+const sniffBuffer = (buf) => {
+  if (buf.length < 4) {
+    return { kind: null, format: null };
+  }
+  const match = SIGNATURES.find(signature => signature.test(buf));
+  if (match) {
+    return { kind: match.kind, format: match.format };
+  }
+  return looksLikeText(buf) ? { kind: 'text', format: null } : { kind: null, format: null };
+};
+
+const sniffFile = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  let buf;
+  try {
+    const { bytesRead, buffer } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    buf = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  return sniffBuffer(buf);
+};
+
+// Why a sniffed kind cannot meet the requirements (see probe.findMediaProblems), or null
+const kindProblem = (kind, requirements) => {
+  const { requireVideo = false, requireAudio = false, requireImage = false } = requirements;
+  if (kind === 'text') return 'is a text or HTML page, not media';
+  if (requireVideo && kind === 'image') return 'is an image, not a video';
+  if ((requireVideo || requireImage) && kind === 'audio') return 'is an audio file, not a video or image';
+  if (requireAudio && kind === 'image') return 'is an image, not audio';
+  return null;
+};
+
+// Reject (422) a downloaded file that is not media of the wanted kind.
+// Formats the magic bytes do not cover get a full ffprobe instead
+const checkMediaFile = async (filePath, label, requirements = {}) => {
+  const sniffed = await sniffFile(filePath);
+  const problem = kindProblem(sniffed.kind, requirements);
+  if (problem) {
+    throw new HttpError(422, `The ${label} download ${problem}${sniffed.format ? ` (${sniffed.format})` : ''}`);
+  }
+
+  if (!sniffed.kind) {
+    try {
+      await probeMedia(filePath);
+    } catch (error) {
+      throw new HttpError(422, `The ${label} download is not a recognised media file (${error.message})`);
+    }
+  }
+  return sniffed;
+};
+
+module.exports = {
+  sniffBuffer,
+  sniffFile,
+  checkMediaFile
+};
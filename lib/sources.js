@@ -0,0 +1,240 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('./jobs');
+const s3 = require('./s3');
+const storage = require('./storage');
+const config = require('./config');
+const log = require('./logger');
+const metrics = require('./metrics');
+const { inspectInput } = require('./probe');
+const { parseChecksum, verifyChecksum } = require('./checksum');
+const {
+  downloadUrlToFile,
+  downloadFile,
+  extractGoogleDriveFileId
+} = require('./download');
+
+const SOURCE_TYPES = ['drive', 'url', 's3', 'upload', 'base64'];
+
+// Inline base64 payloads are meant for small images, not whole videos
+const MAX_BASE64_BYTES = config.limits.maxBase64Bytes;
+
+const REMOTE_TYPES = ['drive', 'url', 's3'];
+
+const downloadsTotal = metrics.counter('video_downloads_total', 'Remote inputs fetched, by source (drive, url, s3) and outcome.', ['source', 'outcome']);
+const downloadBytes = metrics.counter('video_download_bytes_total', 'Bytes of remote inputs fetched, by source.', ['source']);
+const downloadDuration = metrics.histogram('video_download_duration_seconds', 'Time remote inputs took to fetch, by source.', ['source']);
+
+const DRIVE_ID_PATTERN = /^[a-zA-Z0-9_-]{10,}$/;
+
+// Marks upload sources created from multer files; JSON bodies cannot set a symbol key,
+// so callers cannot point an "upload" at an arbitrary file on the server
+const UPLOADED = Symbol('uploaded');
+
+// Turn a request value into a source descriptor { type, ... }
+// Strings are auto-detected: data: URIs, s3:// URIs, Drive links, other HTTP(S) URLs, bare Drive IDs
+const parseSource = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'object') {
+    const source = { ...value };
+    if (!SOURCE_TYPES.includes(source.type)) {
+      throw new Error(`Source type must be one of: ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (source.type === 'drive' && source.url && !source.id) {
+      source.id = extractGoogleDriveFileId(source.url);
+    }
+    if (source.type === 's3' && source.uri) {
+      Object.assign(source, s3.parseS3Uri(source.uri));
+    }
+    validateSource(source);
+    return source;
+  }
+
+  if (typeof value !== 'string') {
+    throw new Error('Source must be a string or an object with a type');
+  }
+
+  const trimmed = value.trim();
+  let source;
+  if (trimmed.startsWith('data:')) {
+    source = { type: 'base64', data: trimmed };
+  } else if (trimmed.startsWith('s3://')) {
+    source = { type: 's3', ...s3.parseS3Uri(trimmed) };
+  } else if (/^https?:\/\/(drive|docs)\.google\.com\//i.test(trimmed)) {
+    source = { type: 'drive', id: extractGoogleDriveFileId(trimmed) };
+  } else if (/^https?:\/\//i.test(trimmed)) {
+    source = { type: 'url', url: trimmed };
+  } else {
+    source = { type: 'drive', id: trimmed };
+  }
+
+  validateSource(source);
+  return source;
+};
+
+const validateSource = (source) => {
+  // Any source can name the digest its file must have: "sha256:<hex>" or "md5:<hex>"
+  if (source.checksum !== undefined) {
+    parseChecksum(source.checksum);
+  }
+
+  switch (source.type) {
+    case 'drive':
+      if (!source.id || !DRIVE_ID_PATTERN.test(source.id)) {
+        throw new Error('Could not find a valid Google Drive file ID');
+      }
+      break;
+    case 'url':
+      if (!/^https?:\/\//i.test(source.url || '')) {
+        throw new Error('URL sources need an http(s) url');
+      }
+      break;
+    case 's3':
+      if (!source.bucket || !source.key) {
+        throw new Error('S3 sources need a bucket and key (or s3://bucket/key)');
+      }
+      break;
+    case 'upload':
+      if (!source[UPLOADED] || !source.path) {
+        throw new Error('Upload sources must come from a multipart file field');
+      }
+      break;
+    case 'base64':
+      if (!source.data || typeof source.data !== 'string') {
+        throw new Error('base64 sources need data');
+      }
+      break;
+  }
+};
+
+// Decode a data: URI or bare base64 string
+const decodeBase64 = (data) => {
+  const match = data.match(/^data:[^;,]*(?:;[^,]*)?;base64,(.*)$/s);
+  const buffer = Buffer.from(match ? match[1] : data, 'base64');
+  if (buffer.length === 0) {
+    throw new Error('base64 payload is empty');
+  }
+  if (buffer.length > MAX_BASE64_BYTES) {
+    throw new Error(`base64 payload is larger than ${MAX_BASE64_BYTES} bytes, use a URL or upload instead`);
+  }
+  return buffer;
+};
+
+// Download (or move) a source into a job-owned file and return its path
+// `requirements` (see probe.inspectInput) rejects unusable files before they are used;
+// downloads are checked against it (and the size limit) as they arrive
+const resolveInput = async (job, value, options = {}) => {
+  const { name, extension, requirements = null, onProgress = null } = options;
+  const source = parseSource(value);
+  if (!source) {
+    return null;
+  }
+
+  const fileExtension = /^[a-z0-9]{1,5}$/i.test(source.extension || '') ? source.extension : extension;
+  const filePath = jobs.jobFilePath(job, `${name}_${uuidv4()}.${fileExtension}`);
+  log.info('Resolving input', { jobId: job.id, input: name, source: source.type });
+
+  const remote = REMOTE_TYPES.includes(source.type);
+  // Remote downloads have no known size up front; at least make sure the disk is not already full
+  if (remote) {
+    await storage.ensureSpace();
+  }
+
+  const fetchOptions = {
+    label: name,
+    requirements: requirements || {},
+    maxBytes: (requirements && requirements.maxBytes) || undefined,
+    checksum: source.checksum,
+    onProgress
+  };
+
+  const startedAt = Date.now();
+  try {
+    switch (source.type) {
+      case 'drive':
+        await downloadFile(filePath, source.id, fetchOptions);
+        break;
+      case 'url':
+        await downloadUrlToFile(source.url, filePath, { ...fetchOptions, headers: source.headers });
+        break;
+      case 's3':
+        await s3.downloadObject(source.bucket, source.key, filePath, fetchOptions);
+        break;
+      case 'upload':
+        await fs.rename(source.path, filePath);
+        break;
+      case 'base64':
+        await fs.writeFile(filePath, decodeBase64(source.data));
+        break;
+    }
+    // Downloads were verified by the fetcher
+    if (source.checksum && !remote) {
+      await verifyChecksum(filePath, source.checksum, name).catch(async (error) => {
+        await fs.rm(filePath, { force: true });
+        throw error;
+      });
+    }
+  } catch (error) {
+    if (remote) downloadsTotal.inc({ source: source.type, outcome: 'failed' });
+    throw error;
+  }
+
+  if (remote) {
+    const { size } = await fs.stat(filePath);
+    downloadsTotal.inc({ source: source.type, outcome: 'completed' });
+    downloadBytes.inc({ source: source.type }, size);
+    downloadDuration.observe({ source: source.type }, metrics.secondsSince(startedAt));
+    log.info('Downloaded input', { jobId: job.id, input: name, source: source.type, bytes: size, durationMs: Date.now() - startedAt });
+  }
+
+  if (requirements) {
+    await inspectInput(filePath, name, requirements);
+  }
+  return filePath;
+};
+
+// Check a request value is a usable source, throwing a readable error if not
+const checkSource = (value, label) => {
+  try {
+    return parseSource(value);
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+};
+
+// Multipart file fields every processing route accepts
+const UPLOAD_FIELDS = ['video', 'music', 'thumbnail'];
+
+// Merge multer uploads into the request params as upload sources
+const withUploads = (req) => {
+  const params = { ...req.body };
+  const files = req.files || {};
+
+  UPLOAD_FIELDS.forEach((field) => {
+    const file = files[field] && files[field][0];
+    if (file) {
+      params[field] = {
+        [UPLOADED]: true,
+        type: 'upload',
+        path: file.path,
+        originalName: file.originalname,
+        extension: path.extname(file.originalname).slice(1)
+      };
+    }
+  });
+
+  return params;
+};
+
+module.exports = {
+  SOURCE_TYPES,
+  UPLOAD_FIELDS,
+  parseSource,
+  checkSource,
+  resolveInput,
+  withUploads
+};
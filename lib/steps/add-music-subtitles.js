@@ -0,0 +1,502 @@
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const config = require('../config');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { checkSource, resolveInput } = require('../sources');
+const { getVideoInfo, runFfmpeg } = require('../media');
+const { probeMedia } = require('../probe');
+const { resolveMixOptions, buildAudioFilter } = require('../audio-mix');
+const {
+  resolveOutputProfile,
+  buildReframeFilter,
+  profileOutputOptions,
+  describeProfile
+} = require('../profiles');
+const {
+  normalizeOverlays,
+  prepareOverlays,
+  removeOverlayFiles,
+  buildOverlayFilter,
+  describeOverlays
+} = require('../overlays');
+const {
+  detectFormat,
+  parseCues,
+  cuesToSrt,
+  remapCues,
+  resolveStyle,
+  buildForceStyle,
+  cuesToAss,
+  escapeFilterPath
+} = require('../subtitles');
+
+const SUBTITLE_MODES = ['burn', 'soft'];
+
+// Music and replacement video accept any source form, plus the original field names
+const getMusicSource = (params) => params.music || params.googleDriveFileIDForMusic;
+const getVideoSource = (params) => params.video || params.videoUrl;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/i;
+
+// Subtitles kept on the job: the last /subtitles result, else the transcript, which was made from
+// the original audio and so is remapped through the /process-video cut when there is one
+const getJobSubtitles = (job) => {
+  if (job.data.subtitles) {
+    return job.data.subtitles;
+  }
+  const { transcript, edl } = job.data;
+  if (!transcript) {
+    return null;
+  }
+  if (!edl) {
+    return transcript;
+  }
+  const { cues } = remapCues(transcript.cues, edl);
+  return { ...transcript, cues, srt: cuesToSrt(cues) };
+};
+
+const hasRequestSubtitles = (params) => !!(params.srtSubtitles || params.subtitleContent);
+
+// Subtitle text from the request, else the subtitles kept on the job
+const getSubtitleText = (job, params) => {
+  if (hasRequestSubtitles(params)) {
+    return params.srtSubtitles || params.subtitleContent;
+  }
+  const jobSubtitles = getJobSubtitles(job);
+  return jobSubtitles && jobSubtitles.cues.length > 0 ? jobSubtitles.srt : null;
+};
+
+// Cues of subtitle text sent to be burned in; bad timings are the caller's mistake, not a failed render
+const parseRequestCues = (text) => {
+  let cues;
+  try {
+    cues = parseCues(text);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+  if (cues.length === 0) {
+    throw new HttpError(400, 'Subtitle content contains no valid cues');
+  }
+  return cues;
+};
+
+// Transcripts may report a language name ("english"); only ISO codes can label a track
+const toTrackLanguage = (language) => (language && LANGUAGE_PATTERN.test(language) ? language : undefined);
+
+// Subtitle tracks for soft mode: explicit subtitleTracks, or the single srtSubtitles/subtitleContent text
+const getSubtitleTracks = (job, params) => {
+  if (Array.isArray(params.subtitleTracks) && params.subtitleTracks.length > 0) {
+    return params.subtitleTracks;
+  }
+  const jobSubtitles = !hasRequestSubtitles(params) && getJobSubtitles(job);
+  return [{
+    content: getSubtitleText(job, params),
+    language: params.subtitleLanguage || (jobSubtitles ? toTrackLanguage(jobSubtitles.language) : undefined),
+    title: params.subtitleTitle
+  }];
+};
+
+const validate = (job, params) => {
+  const processedArtifact = jobs.getArtifact(job, 'processed');
+  if (!processedArtifact) {
+    throw new HttpError(400, 'No processed video available');
+  }
+  
+  // Verify input video exists
+  if (!fsSync.existsSync(processedArtifact.path)) {
+    throw new HttpError(400, 'Input video file does not exist');
+  }
+  
+  try {
+    checkSource(getMusicSource(params), 'music');
+    checkSource(getVideoSource(params), 'video');
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+
+  try {
+    resolveMixOptions(params);
+    resolveOutputProfile(params);
+    if (params.overlays !== undefined) normalizeOverlays(params.overlays);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+
+  const { subtitleMode = 'burn', subtitleFormat } = params;
+  if (!SUBTITLE_MODES.includes(subtitleMode)) {
+    throw new HttpError(400, `subtitleMode must be one of: ${SUBTITLE_MODES.join(', ')}`);
+  }
+
+  // Only soft mode can mux several tracks; burn mode takes one text
+  const hasTracks = Array.isArray(params.subtitleTracks) && params.subtitleTracks.length > 0;
+  if (hasTracks && subtitleMode !== 'soft') {
+    throw new HttpError(400, 'subtitleTracks needs subtitleMode "soft"; to burn subtitles in, send srtSubtitles or subtitleContent');
+  }
+  if (!getSubtitleText(job, params) && !hasTracks) {
+    throw new HttpError(400, 'No subtitle content provided (send subtitles or call /transcribe or /subtitles first)');
+  }
+  if (subtitleFormat && !['srt', 'vtt', 'ass'].includes(subtitleFormat)) {
+    throw new HttpError(400, 'subtitleFormat must be srt, vtt or ass');
+  }
+
+  if (subtitleMode === 'burn') {
+    try {
+      resolveStyle(params.subtitleStyle, params.subtitleStyleOverrides);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    // Job subtitles were checked when they were made; ASS scripts go to ffmpeg as they are
+    if (hasRequestSubtitles(params)) {
+      const text = getSubtitleText(job, params);
+      if (typeof text !== 'string') {
+        throw new HttpError(400, 'srtSubtitles / subtitleContent must be SRT, WebVTT or ASS text');
+      }
+      if ((subtitleFormat || detectFormat(text)) !== 'ass') {
+        parseRequestCues(text);
+      }
+    }
+  } else {
+    getSubtitleTracks(job, params).forEach((track, index) => {
+      if (!track || typeof track.content !== 'string' || !track.content.trim()) {
+        throw new HttpError(400, `subtitleTracks[${index}].content is required`);
+      }
+      if (track.language && !LANGUAGE_PATTERN.test(track.language)) {
+        throw new HttpError(400, `subtitleTracks[${index}].language must be an ISO 639 code like "en" or "eng"`);
+      }
+    });
+  }
+};
+
+// Write subtitle files for the request and work out how ffmpeg should apply them
+const prepareSubtitles = async (job, params) => {
+  const { subtitleMode = 'burn' } = params;
+
+  if (subtitleMode === 'soft') {
+    const tracks = [];
+    for (const track of getSubtitleTracks(job, params)) {
+      const format = detectFormat(track.content);
+      const filePath = jobs.jobFilePath(job, `subtitles_${uuidv4()}.${format}`);
+      await fs.writeFile(filePath, track.content, 'utf8');
+      tracks.push({ path: filePath, format, language: track.language, title: track.title });
+    }
+    return { mode: 'soft', files: tracks.map(track => track.path), tracks };
+  }
+
+  // Use srtSubtitles if available, otherwise fall back to subtitleContent, then the job's own subtitles
+  const subtitleText = getSubtitleText(job, params);
+  const jobCues = hasRequestSubtitles(params) ? null : getJobSubtitles(job).cues;
+  const format = params.subtitleFormat || detectFormat(subtitleText);
+  const styleName = params.subtitleStyle || config.subtitles.style;
+  const style = resolveStyle(styleName, params.subtitleStyleOverrides);
+
+  // ASS scripts keep their own styling unless a style was asked for explicitly
+  if (format === 'ass') {
+    const filePath = jobs.jobFilePath(job, `subtitles_${uuidv4()}.ass`);
+    await fs.writeFile(filePath, subtitleText, 'utf8');
+    const forceStyle = params.subtitleStyle || params.subtitleStyleOverrides
+      ? `:force_style='${buildForceStyle(style)}'`
+      : '';
+    return {
+      mode: 'burn',
+      format,
+      style: params.subtitleStyle ? styleName : null,
+      files: [filePath],
+      videoFilter: `subtitles='${escapeFilterPath(filePath)}'${forceStyle}`
+    };
+  }
+
+  // Transcript cues carry real word timings, which karaoke styles use
+  const cues = jobCues || parseRequestCues(subtitleText);
+
+  // Word highlighting needs per-word \k timings, so karaoke styles are rendered via a generated ASS script
+  if (style.karaoke) {
+    const filePath = jobs.jobFilePath(job, `subtitles_${uuidv4()}.ass`);
+    await fs.writeFile(filePath, cuesToAss(cues, style), 'utf8');
+    return {
+      mode: 'burn',
+      format,
+      style: styleName,
+      files: [filePath],
+      videoFilter: `subtitles='${escapeFilterPath(filePath)}'`
+    };
+  }
+
+  const filePath = jobs.jobFilePath(job, `subtitles_${uuidv4()}.${format}`);
+  await fs.writeFile(filePath, subtitleText, 'utf8');
+  return {
+    mode: 'burn',
+    format,
+    style: styleName,
+    files: [filePath],
+    videoFilter: `subtitles='${escapeFilterPath(filePath)}':force_style='${buildForceStyle(style)}'`
+  };
+};
+
+// Remove the subtitle files written for this request
+const removeSubtitleFiles = (subtitles) => {
+  subtitles.files.forEach((filePath) => {
+    fsSync.unlink(filePath, (err) => {
+      if (err) log.warn('Failed to delete temp subtitle file', { file: filePath, error: err.message });
+    });
+  });
+};
+
+// Mix background music and subtitles into the processed video and write the final output
+const run = async (job, params) => {
+  const musicSource = getMusicSource(params);
+  const videoSource = getVideoSource(params);
+
+  let processedVideoPath = jobs.getArtifact(job, 'processed').path;
+  
+  const outputPath = jobs.jobFilePath(job, `final_${uuidv4()}.mp4`);
+  const profile = resolveOutputProfile(params);
+  let downloadedMusicPath = null;
+  
+  // Write subtitle content to file(s)
+  const subtitles = await prepareSubtitles(job, params);
+  
+  // Handle music file - download if URL, use local path if file path
+  let actualMusicPath = null;
+  if (musicSource) {
+    try {
+      downloadedMusicPath = await resolveInput(job, musicSource, {
+        name: 'music',
+        extension: 'mp3',
+        requirements: { requireAudio: true },
+        onProgress: jobs.progressRange(job, 0, 5)
+      });
+      actualMusicPath = downloadedMusicPath;
+    } catch (downloadError) {
+      // A file that downloaded but is not usable audio is the caller's mistake, not a network hiccup
+      if (downloadError.status) throw downloadError;
+      log.warn('Failed to download music, continuing without it', { error: downloadError.message });
+      // Continue without music if download fails
+    }
+  }
+
+  if (videoSource) {
+    // Use an already edited video instead (e.g. a Creatomate render)
+    try {
+      const downloadedVideoPath = await resolveInput(job, videoSource, {
+        name: 'video',
+        extension: 'mp4',
+        requirements: { requireVideo: true },
+        onProgress: jobs.progressRange(job, 5, 10)
+      });
+      jobs.addArtifact(job, 'processed', downloadedVideoPath);
+      processedVideoPath = downloadedVideoPath;
+    } catch (downloadError) {
+      if (downloadError.status) throw downloadError;
+      log.warn('Failed to download video, continuing with the processed one', { error: downloadError.message });
+      // Continue with the processed video if download fails
+    }
+  }
+  
+  // Logos and captions are fetched up front; they are drawn under the subtitles so those stay readable
+  let overlayInputs = null;
+  let overlayFrame = null;
+  if (params.overlays !== undefined) {
+    try {
+      overlayInputs = await prepareOverlays(job, normalizeOverlays(params.overlays));
+      overlayFrame = profile ? { width: profile.width, height: profile.height } : await getVideoInfo(processedVideoPath);
+    } catch (error) {
+      removeSubtitleFiles(subtitles);
+      if (overlayInputs) await removeOverlayFiles(overlayInputs.files);
+      throw error;
+    }
+  }
+  const overlayFiles = overlayInputs ? overlayInputs.files : [];
+  
+  jobs.setProgress(job, 10);
+  
+  const hasMusic = !!(actualMusicPath && fsSync.existsSync(actualMusicPath));
+  const mixOptions = resolveMixOptions(params);
+  
+  // A music fade-out and overlay windows are placed relative to the end of the video, which also drives progress
+  const videoProbe = await probeMedia(processedVideoPath);
+  const videoDuration = videoProbe.duration || 0;
+  // A video without sound gets silence to mix the music into and normalize, as cards do in /merge-thumbnail-video
+  const silentVoice = !videoProbe.audio && (hasMusic || !!mixOptions.loudness);
+  const audioFilter = buildAudioFilter({
+    hasMusic,
+    musicInput: hasMusic ? 1 : null,
+    voiceInput: silentVoice ? (hasMusic ? 2 : 1) : 0,
+    duration: videoDuration,
+    options: mixOptions
+  });
+  log.info('Adding music and subtitles', {
+    input: processedVideoPath,
+    music: hasMusic,
+    silentVoice,
+    subtitleFiles: subtitles.files.length,
+    overlays: overlayInputs ? overlayInputs.overlays.length : 0
+  });
+  
+  // Video first, then music (always input 1, as buildAudioFilter expects), silence for a video without sound,
+  // soft subtitle tracks and overlay images
+  const inputArgs = ['-i', processedVideoPath];
+  let nextInput = 1;
+  
+  if (hasMusic) {
+    if (mixOptions.loopMusic) {
+      // Repeat music that is shorter than the video; amix stops at the end of the video audio
+      inputArgs.push('-stream_loop', '-1');
+    }
+    inputArgs.push('-i', actualMusicPath);
+    nextInput++;
+  }
+  
+  if (silentVoice) {
+    inputArgs.push('-f', 'lavfi', ...(videoDuration > 0 ? ['-t', videoDuration.toFixed(3)] : []), '-i', 'anullsrc=r=48000:cl=stereo');
+    nextInput++;
+  }
+  
+  // Soft subtitle tracks are extra inputs muxed as mov_text
+  const subtitleInputs = [];
+  if (subtitles.mode === 'soft') {
+    subtitles.tracks.forEach((track) => {
+      inputArgs.push('-i', track.path);
+      subtitleInputs.push(nextInput++);
+    });
+  }
+  
+  // Overlay images are looped stills after the other inputs
+  const firstOverlayInput = nextInput;
+  if (overlayInputs) {
+    overlayInputs.overlays
+      .filter(overlay => overlay.type === 'image')
+      .forEach((overlay) => {
+        inputArgs.push('-loop', '1', '-i', overlay.filePath);
+        nextInput++;
+      });
+  }
+  
+  // Configure audio and video filters
+  const filters = [];
+  let videoMap = '0:v';  // Use video from first input (original video)
+  let audioMap = '0:a?';
+  let videoLabel = '[0:v]';
+  
+  if (profile) {
+    // Reframe first so subtitles are laid out on the final frame size
+    filters.push(buildReframeFilter('[0:v]', '[framed]', profile));
+    videoMap = videoLabel = '[framed]';
+  }
+  
+  if (overlayInputs) {
+    filters.push(buildOverlayFilter(overlayInputs.overlays, {
+      input: videoLabel,
+      output: '[overlaid]',
+      firstInput: firstOverlayInput,
+      frame: overlayFrame,
+      duration: videoDuration
+    }));
+    videoMap = videoLabel = '[overlaid]';
+  }
+  
+  if (subtitles.videoFilter) {
+    // Burn subtitles into the picture
+    filters.push(`${videoLabel}${subtitles.videoFilter}[vout]`);
+    videoMap = '[vout]';
+  }
+  
+  if (audioFilter) {
+    // Mix original audio with background music (optionally ducked) and normalize loudness
+    filters.push(audioFilter);
+    audioMap = '[aout]'; // Use mixed audio output
+  }
+  
+  const subtitleOptions = [];
+  if (subtitles.mode === 'soft') {
+    subtitleOptions.push('-c:s', 'mov_text');
+    subtitles.tracks.forEach((track, i) => {
+      subtitleOptions.push('-map', `${subtitleInputs[i]}:s`);
+      if (track.language) {
+        subtitleOptions.push(`-metadata:s:s:${i}`, `language=${track.language.toLowerCase()}`);
+      }
+      if (track.title) {
+        subtitleOptions.push(`-metadata:s:s:${i}`, `title=${track.title}`);
+      }
+    });
+  }
+  
+  try {
+    await runFfmpeg([
+      ...inputArgs,
+      ...(filters.length > 0 ? ['-filter_complex', filters.join(';')] : []),
+      '-map', videoMap,
+      '-map', audioMap,
+      ...subtitleOptions,
+      '-c:v', 'libx264',
+      '-c:a', 'aac',
+      '-preset', 'veryfast',
+      ...(profile ? profileOutputOptions(profile) : ['-crf', '23']),
+      // Without a known duration the silent stand-in would never end on its own
+      ...(silentVoice ? ['-shortest'] : []),
+      '-avoid_negative_ts', 'make_zero',
+      '-movflags', '+faststart',
+      '-y', // Overwrite output file if exists
+      outputPath
+    ], {
+      job,
+      timeout: config.ffmpeg.longTimeout,
+      duration: videoDuration,
+      onProgress: (progress) => jobs.setProgress(job, 10 + (progress.percent || 0) * 0.9, { phase: 'encode', ...progress })
+    });
+  } finally {
+    // Clean up temporary files
+    removeSubtitleFiles(subtitles);
+    await removeOverlayFiles(overlayFiles);
+    if (downloadedMusicPath) {
+      fsSync.unlink(downloadedMusicPath, (err) => {
+        if (err) log.warn('Failed to delete temp music file', { file: downloadedMusicPath, error: err.message });
+      });
+    }
+  }
+  
+  // Verify output file was created
+  if (!fsSync.existsSync(outputPath)) {
+    throw new Error('Output video file was not created');
+  }
+  
+  const stats = await fs.stat(outputPath);
+  const artifact = jobs.addArtifact(job, 'final', outputPath);
+  
+  return {
+    success: true,
+    jobId: job.id,
+    message: 'Subtitles added successfully',
+    outputPath: outputPath,
+    videoId: path.basename(outputPath),
+    artifactId: artifact.id,
+    downloadUrl: jobs.artifactUrl(job, artifact),
+    finalStats: {
+      fileSize: stats.size,
+      hasMusic: hasMusic,
+      outputProfile: describeProfile(profile),
+      audioMix: {
+        voiceVolume: mixOptions.voiceVolume,
+        musicVolume: hasMusic ? mixOptions.musicVolume : null,
+        ducking: hasMusic ? mixOptions.ducking : null,
+        loopMusic: hasMusic ? mixOptions.loopMusic : null,
+        loudness: mixOptions.loudness
+      },
+      overlays: overlayInputs ? describeOverlays(overlayInputs.overlays) : [],
+      hasSubtitles: true,
+      subtitleMode: subtitles.mode,
+      subtitleFormat: subtitles.format || subtitles.tracks.map(track => track.format),
+      subtitleStyle: subtitles.style || null,
+      subtitleLanguages: subtitles.tracks ? subtitles.tracks.map(track => track.language || null) : undefined
+    }
+  };
+};
+
+module.exports = {
+  name: 'add-music-subtitles',
+  failureMessage: 'Failed to add subtitles',
+  validate,
+  run
+};
@@ -0,0 +1,24 @@
+const storage = require('../storage');
+
+const validate = () => {};
+
+// Delete the job's files, then sweep orphaned temp files (older than 1 hour, not owned by a live job)
+const run = async (job) => {
+  const deleted = await storage.removeJobFiles(job);
+  await storage.sweepOrphans();
+  
+  return {
+    success: true,
+    jobId: job.id,
+    deletedFiles: deleted.length,
+    message: 'Cleanup completed successfully'
+  };
+};
+
+module.exports = {
+  name: 'cleanup',
+  failureMessage: 'Cleanup failed',
+  writesMedia: false,
+  validate,
+  run
+};
@@ -0,0 +1,87 @@
+const fsSync = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const config = require('../config');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { compressVideo } = require('../media');
+const { resolveEncodeOptions, containerFor } = require('../encoding');
+
+// Without a size cap in the request, delivery encodes keep the video's own resolution
+const DELIVERY_DEFAULTS = { maxWidth: null, maxHeight: null, maxrate: null };
+
+// The latest edit, or the original video before any edit
+const getSourceVideo = (job) => jobs.getCurrentVideo(job) || jobs.getArtifact(job, 'input');
+
+const getEncodeOptions = (params) => {
+  const { codec, preset, crf, targetSize, maxrate, bufsize, audioBitrate, maxWidth, maxHeight } = params;
+  const requested = { codec, preset, crf, targetSize, maxrate, bufsize, audioBitrate, maxWidth, maxHeight };
+  Object.keys(requested).forEach((key) => requested[key] === undefined && delete requested[key]);
+  return resolveEncodeOptions({ ...DELIVERY_DEFAULTS, ...requested });
+};
+
+const validate = (job, params) => {
+  const video = getSourceVideo(job);
+  if (!video || !fsSync.existsSync(video.path)) {
+    throw new HttpError(400, 'No video available to compress');
+  }
+
+  try {
+    getEncodeOptions(params);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+};
+
+// Encode the job's current video for delivery, e.g. to fit an upload limit with targetSize.
+// The result is a separate "compressed" artifact, so later edits keep working from the full-quality video
+const run = async (job, params) => {
+  const options = getEncodeOptions(params);
+  const source = getSourceVideo(job);
+  const outputPath = jobs.jobFilePath(job, `compressed_${uuidv4()}.${containerFor(options.codec)}`);
+
+  log.info('Compressing for delivery', { input: source.path, codec: options.codec });
+  let result;
+  try {
+    result = await compressVideo(source.path, outputPath, {
+      ...options,
+      job,
+      // Two slow passes over a long video can take a while
+      timeout: config.ffmpeg.longTimeout,
+      onProgress: (progress) => jobs.setProgress(job, progress.percent, { phase: 'compress', ...progress })
+    });
+  } catch (error) {
+    if (fsSync.existsSync(outputPath)) fsSync.unlinkSync(outputPath);
+    throw error;
+  }
+
+  const artifact = jobs.addArtifact(job, 'compressed', outputPath);
+
+  return {
+    success: true,
+    jobId: job.id,
+    sourceArtifactId: source.id,
+    codec: result.codec,
+    encoder: result.encoder,
+    container: result.container,
+    preset: result.preset,
+    mode: result.mode,
+    crf: result.crf,
+    targetSize: result.targetSize,
+    targetVideoBitrate: result.targetVideoBitrate,
+    inputSize: result.inputSize,
+    size: result.size,
+    duration: result.duration,
+    bitrate: result.bitrate,
+    withinTarget: result.withinTarget,
+    artifactId: artifact.id,
+    downloadUrl: jobs.artifactUrl(job, artifact)
+  };
+};
+
+module.exports = {
+  name: 'compress',
+  failureMessage: 'Failed to compress video',
+  validate,
+  run
+};
@@ -0,0 +1,73 @@
+const fsSync = require('fs');
+const jobs = require('../jobs');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { getDuration, runFfmpeg } = require('../media');
+const { parseSilenceOutput, computeKeepRanges } = require('../silence');
+
+const validate = (job, params) => {
+  const audio = jobs.getArtifact(job, 'audio');
+  if (!audio || !fsSync.existsSync(audio.path)) {
+    throw new HttpError(400, 'No extracted audio available for this job');
+  }
+
+  const { threshold = -30, minDuration = 0.5, padding = 0.1 } = params;
+  if (!Number.isFinite(Number(threshold)) || Number(threshold) >= 0) {
+    throw new HttpError(400, 'threshold must be a negative number of dB');
+  }
+  if (!(Number(minDuration) > 0)) {
+    throw new HttpError(400, 'minDuration must be greater than 0');
+  }
+  if (!(Number(padding) >= 0)) {
+    throw new HttpError(400, 'padding must be 0 or more');
+  }
+};
+
+// Find silent ranges in the job's extracted audio and the speech ranges to keep
+const run = async (job, params) => {
+  const threshold = Number(params.threshold ?? -30);
+  const minDuration = Number(params.minDuration ?? 0.5);
+  const padding = Number(params.padding ?? 0.1);
+
+  const audioPath = jobs.getArtifact(job, 'audio').path;
+  const duration = await getDuration(audioPath);
+
+  log.info('Detecting silence', { threshold, minDuration });
+  const { stderr } = await runFfmpeg([
+    '-i', audioPath,
+    '-af', `silencedetect=noise=${threshold}dB:d=${minDuration}`,
+    '-f', 'null',
+    '-'
+  ], {
+    job,
+    duration,
+    onProgress: (progress) => jobs.setProgress(job, progress.percent, { phase: 'analyze', ...progress })
+  });
+
+  const silentRanges = parseSilenceOutput(stderr, duration);
+  const keepRanges = computeKeepRanges(silentRanges, duration, padding);
+  const keptDuration = keepRanges.reduce((total, range) => total + (range.end - range.start), 0);
+
+  // Remember the result so /process-video can use it with useDetectedSilence
+  job.data.silence = { threshold, minDuration, padding, duration, silentRanges, keepRanges };
+
+  return {
+    success: true,
+    jobId: job.id,
+    duration,
+    threshold,
+    minDuration,
+    padding,
+    silentRanges,
+    keepRanges,
+    removedDuration: Math.round((duration - keptDuration) * 1000) / 1000
+  };
+};
+
+module.exports = {
+  name: 'detect-silence',
+  failureMessage: 'Failed to detect silence',
+  writesMedia: false,
+  validate,
+  run
+};
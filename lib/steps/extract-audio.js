@@ -0,0 +1,111 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { signedUrl } = require('../auth');
+const { checkSource, resolveInput } = require('../sources');
+const { compressVideo, runFfmpeg } = require('../media');
+const { resolveEncodeOptions, containerFor } = require('../encoding');
+
+// The video may be given as `video` (any source form) or the original `googleDriveFileID`
+const getVideoSource = (params) => params.video || params.googleDriveFileID;
+
+// Ingest compression: on with the old defaults unless `compress` is false, or an object of encode options.
+// Multipart bodies send everything as text, so the object may arrive as JSON
+const getCompression = (params) => {
+  let { compress = true } = params;
+  if (typeof compress === 'string') {
+    try {
+      compress = JSON.parse(compress);
+    } catch (error) {
+      throw new Error('compress must be true, false or a JSON object of encode options');
+    }
+  }
+  if (compress === false) {
+    return null;
+  }
+  return resolveEncodeOptions(compress);
+};
+
+const validate = (job, params) => {
+  if (!getVideoSource(params)) {
+    throw new HttpError(400, 'Video ID is required (video, googleDriveFileID or an uploaded video file)');
+  }
+
+  try {
+    checkSource(getVideoSource(params), 'video');
+    getCompression(params);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+};
+
+// Fetch the source video and extract 16 kHz mono audio for transcription
+const run = async (job, params, context) => {
+  const audioPath = jobs.jobFilePath(job, 'audio.wav');
+  
+  const compression = getCompression(params);
+  const downloadedPath = await resolveInput(job, getVideoSource(params), {
+    name: 'input',
+    extension: 'mp4',
+    // Audio is what this step extracts, so a silent video is of no use
+    requirements: { requireVideo: true, requireAudio: true },
+    onProgress: (details) => jobs.setProgress(job, (details.percent || 0) / 4, details)
+  });
+  
+  // Download takes the first quarter of the step, compression the second
+  let videoPath = downloadedPath;
+  let compressionResult = null;
+  if (compression) {
+    videoPath = jobs.jobFilePath(job, `input_${uuidv4()}.${containerFor(compression.codec)}`);
+    try {
+      compressionResult = await compressVideo(downloadedPath, videoPath, {
+        ...compression,
+        job,
+        onProgress: (progress) => jobs.setProgress(job, 25 + (progress.percent || 0) / 4, { phase: 'compress', ...progress })
+      });
+    } finally {
+      await fs.unlink(downloadedPath).catch(() => {});
+    }
+  }
+  jobs.addArtifact(job, 'input', videoPath);
+  jobs.setProgress(job, 50);
+  
+  // Extract audio
+  log.info('Extracting audio', { videoPath });
+  await runFfmpeg([
+    '-i', videoPath,
+    '-vn',
+    '-c:a', 'pcm_s16le',
+    '-ar', '16000',
+    '-ac', '1',
+    '-y',
+    audioPath
+  ], {
+    job,
+    onProgress: (progress) => jobs.setProgress(job, 50 + (progress.percent || 0) / 2, { phase: 'encode', ...progress })
+  });
+  jobs.addArtifact(job, 'audio', audioPath);
+  
+  // Signed link under the public base URL, so transcription services outside this host can fetch it
+  const audioUrl = signedUrl(context.publicBaseUrl, `/temp-audio/${path.basename(audioPath)}`);
+  
+  return {
+    success: true,
+    jobId: job.id,
+    audioUrl: audioUrl,
+    audioPath: audioPath,
+    videoPath: videoPath,
+    videoId: path.basename(videoPath),
+    compression: compressionResult
+  };
+};
+
+module.exports = {
+  name: 'extract-audio',
+  failureMessage: 'Failed to extract audio',
+  validate,
+  run
+};
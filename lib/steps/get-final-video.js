@@ -0,0 +1,34 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const jobs = require('../jobs');
+const HttpError = require('../http-error');
+
+const validate = (job) => {
+  const finalVideo = jobs.getCurrentVideo(job);
+  if (!finalVideo || !fsSync.existsSync(finalVideo.path)) {
+    throw new HttpError(404, 'Final video not found');
+  }
+};
+
+// Describe the job's final video and where to download it from
+const run = async (job) => {
+  const finalVideo = jobs.getCurrentVideo(job);
+  const stats = await fs.stat(finalVideo.path);
+
+  return {
+    success: true,
+    jobId: job.id,
+    artifactId: finalVideo.id,
+    finalVideoPath: finalVideo.path,
+    fileSize: stats.size,
+    downloadUrl: jobs.artifactUrl(job, finalVideo)
+  };
+};
+
+module.exports = {
+  name: 'get-final-video',
+  failureMessage: 'Final video not found',
+  writesMedia: false,
+  validate,
+  run
+};
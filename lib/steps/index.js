@@ -0,0 +1,34 @@
+const extractAudio = require('./extract-audio');
+const detectSilence = require('./detect-silence');
+const transcribe = require('./transcribe');
+const subtitles = require('./subtitles');
+const processVideo = require('./process-video');
+const addMusicSubtitles = require('./add-music-subtitles');
+const thumbnails = require('./thumbnails');
+const overlay = require('./overlay');
+const mergeThumbnailVideo = require('./merge-thumbnail-video');
+const compress = require('./compress');
+const getFinalVideo = require('./get-final-video');
+const packageHls = require('./package-hls');
+const publish = require('./publish');
+const cleanup = require('./cleanup');
+
+// Every pipeline operation, keyed by the name of its route
+const steps = {
+  [extractAudio.name]: extractAudio,
+  [detectSilence.name]: detectSilence,
+  [transcribe.name]: transcribe,
+  [subtitles.name]: subtitles,
+  [processVideo.name]: processVideo,
+  [addMusicSubtitles.name]: addMusicSubtitles,
+  [thumbnails.name]: thumbnails,
+  [overlay.name]: overlay,
+  [mergeThumbnailVideo.name]: mergeThumbnailVideo,
+  [compress.name]: compress,
+  [getFinalVideo.name]: getFinalVideo,
+  [packageHls.name]: packageHls,
+  [publish.name]: publish,
+  [cleanup.name]: cleanup
+};
+
+module.exports = steps;
@@ -0,0 +1,313 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const config = require('../config');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { checkSource, resolveInput } = require('../sources');
+const { getVideoInfo, runFfmpeg } = require('../media');
+const { probeMedia } = require('../probe');
+const { sniffFile } = require('../sniff');
+const {
+  isStillImage,
+  normalizeCard,
+  normalizeMusic,
+  buildComposition
+} = require('../composition');
+const {
+  resolveOutputProfile,
+  profileOutputOptions,
+  describeProfile
+} = require('../profiles');
+
+// Still cards without a duration are shown this long
+const DEFAULT_CARD_DURATION = 3;
+
+const CLIP_EXTENSIONS = /\.(mp4|m4v|mov|mkv|webm|avi)$/i;
+
+// What a card's download is stored as and must contain, by card type
+const CARD_INPUTS = {
+  image: { extension: 'png', requirements: { requireImage: true } },
+  clip: { extension: 'mp4', requirements: { requireVideo: true } }
+};
+
+// A card's type as given, else guessed from the file name of its source
+const guessCardType = (card) => {
+  if (card.type) return card.type;
+  const source = card.source;
+  const name = typeof source === 'string'
+    ? source
+    : source.originalName || source.url || source.key || source.uri || (source.extension ? `.${source.extension}` : '');
+  return CLIP_EXTENSIONS.test(String(name).split(/[?#]/)[0]) ? 'clip' : 'image';
+};
+
+// The thumbnail may be given as `thumbnail` (any source form) or the original `thumbnailID`
+const getThumbnailSource = (params) => params.thumbnail || params.thumbnailID;
+
+// Without a thumbnail in the request, the one /thumbnails made for the job is used
+const getGeneratedThumbnail = (job) => {
+  const artifact = jobs.getArtifact(job, 'thumbnail');
+  return artifact && fsSync.existsSync(artifact.path) ? artifact : null;
+};
+
+// The intro card: an `intro` object, else the thumbnail shown for `thumbnailDuration` with a hard cut,
+// else (when there is no outro either) the job's generated thumbnail the same way
+const resolveIntro = (job, params) => {
+  if (params.intro) {
+    return normalizeCard(params.intro, 'intro');
+  }
+
+  const thumbnailDuration = Number(params.thumbnailDuration ?? 0.3);
+  if (!(thumbnailDuration > 0)) {
+    throw new Error('thumbnailDuration must be greater than 0');
+  }
+  const legacy = { duration: thumbnailDuration, kenBurns: null, transition: { type: 'none', duration: 0 } };
+  if (getThumbnailSource(params)) {
+    return { ...legacy, source: getThumbnailSource(params) };
+  }
+  const generated = params.outro ? null : getGeneratedThumbnail(job);
+  return generated ? { ...legacy, source: null, localPath: generated.path } : null;
+};
+
+const validate = (job, params) => {
+  const currentVideo = jobs.getCurrentVideo(job);
+  if (!currentVideo) {
+    throw new HttpError(400, 'No final or processed video available for this job');
+  }
+
+  try {
+    const intro = resolveIntro(job, params);
+    const outro = params.outro ? normalizeCard(params.outro, 'outro') : null;
+    if (!intro && !outro) {
+      throw new Error('An intro, outro or thumbnail is required (or create a thumbnail with /thumbnails first)');
+    }
+    [[intro, 'intro'], [outro, 'outro']].forEach(([card, label]) => {
+      if (card && card.source) checkSource(card.source, label);
+    });
+    if (params.introMusic) {
+      checkSource(normalizeMusic(params.introMusic, 'introMusic').source, 'introMusic');
+    }
+    resolveOutputProfile(params);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+
+  if (!fsSync.existsSync(currentVideo.path)) {
+    throw new HttpError(404, `Video file not found: ${currentVideo.path}`);
+  }
+};
+
+// Remove a file we created, logging instead of failing when that is not possible
+const removeQuietly = async (filePath, label) => {
+  if (filePath && fsSync.existsSync(filePath)) {
+    try {
+      await fs.unlink(filePath);
+    } catch (unlinkError) {
+      log.warn(`Failed to clean up ${label}`, { file: filePath, error: unlinkError.message });
+    }
+  }
+};
+
+// Give a download the extension its bytes call for, since a guessed type can be wrong
+// (Drive IDs and bare URLs have no file name) and ffmpeg reads the extension as a hint
+const fixCardExtension = async (filePath) => {
+  const { kind } = await sniffFile(filePath);
+  const extension = kind === 'image' ? CARD_INPUTS.image.extension : CARD_INPUTS.clip.extension;
+  if (!kind || path.extname(filePath) === `.${extension}`) {
+    return filePath;
+  }
+  const fixedPath = `${filePath.slice(0, -path.extname(filePath).length)}.${extension}`;
+  await fs.rename(filePath, fixedPath);
+  return fixedPath;
+};
+
+// Fetch a card's image or clip and work out how it enters the composition
+const prepareCard = async (job, card, name, onProgress) => {
+  let filePath = card.localPath;
+  if (!filePath) {
+    const { extension, requirements } = CARD_INPUTS[guessCardType(card)];
+    filePath = await fixCardExtension(await resolveInput(job, card.source, {
+      name,
+      // An explicit type is checked; a guessed one only rules out what no card can be
+      extension,
+      requirements: card.type ? requirements : CARD_INPUTS.image.requirements,
+      onProgress
+    }));
+  }
+  const probe = await probeMedia(filePath);
+  const still = isStillImage(probe);
+
+  return {
+    filePath,
+    downloaded: !card.localPath,
+    kind: still ? 'image' : 'clip',
+    duration: still
+      ? card.duration || DEFAULT_CARD_DURATION
+      : Math.min(card.duration || probe.duration, probe.duration),
+    hasAudio: !still && !!probe.audio,
+    kenBurns: still ? card.kenBurns : null,
+    transition: card.transition
+  };
+};
+
+// ffmpeg input arguments for a segment; still images loop for their duration unless zoompan makes the frames
+const segmentInputArgs = (segment) => {
+  if (segment.kind === 'image' && !segment.kenBurns) {
+    return ['-loop', '1', '-t', segment.duration.toFixed(3), '-i', segment.filePath];
+  }
+  return ['-i', segment.filePath];
+};
+
+const describeCard = (segment) => segment && {
+  type: segment.kind,
+  duration: segment.duration,
+  kenBurns: segment.kenBurns,
+  transition: segment.transition,
+  generatedSilence: !segment.hasAudio
+};
+
+// Put intro and/or outro cards around the job's current video, with cuts or xfade transitions,
+// optional intro music, and silent audio generated for anything that has none
+const run = async (job, params) => {
+  const videoPath = jobs.getCurrentVideo(job).path;
+  const profile = resolveOutputProfile(params);
+  const introCard = resolveIntro(job, params);
+  const outroCard = params.outro ? normalizeCard(params.outro, 'outro') : null;
+  const musicOptions = params.introMusic ? normalizeMusic(params.introMusic, 'introMusic') : null;
+
+  // Some containers only carry durations on their streams; without any, the filters cannot be timed
+  const videoProbe = await probeMedia(videoPath);
+  const videoDuration = videoProbe.duration || (videoProbe.video && videoProbe.video.duration);
+  if (!videoDuration) {
+    throw new HttpError(400, 'Could not determine the duration of the current video');
+  }
+  const main = { filePath: videoPath, kind: 'main', duration: videoDuration, hasAudio: !!videoProbe.audio };
+
+  const downloads = [];
+  let outputPath = null;
+
+  try {
+    const intro = introCard && await prepareCard(job, introCard, 'intro', jobs.progressRange(job, 0, 8));
+    if (intro && intro.downloaded) downloads.push(intro.filePath);
+    const outro = outroCard && await prepareCard(job, outroCard, 'outro', jobs.progressRange(job, 8, 16));
+    if (outro && outro.downloaded) downloads.push(outro.filePath);
+
+    let music = null;
+    if (musicOptions) {
+      const musicPath = await resolveInput(job, musicOptions.source, {
+        name: 'intromusic',
+        extension: 'mp3',
+        requirements: { requireAudio: true },
+        onProgress: jobs.progressRange(job, 16, 20)
+      });
+      downloads.push(musicPath);
+      const musicDuration = (await probeMedia(musicPath)).duration;
+      music = {
+        ...musicOptions,
+        filePath: musicPath,
+        duration: Math.min(musicOptions.duration || Infinity, musicDuration || Infinity)
+      };
+      if (!Number.isFinite(music.duration)) music.duration = null;
+    }
+
+    jobs.setProgress(job, 20);
+
+    // Without an output profile everything is fitted to the video's own size and frame rate
+    let frame;
+    if (profile) {
+      frame = { width: profile.width, height: profile.height, fps: profile.fps, profile };
+    } else {
+      const { width, height, fps } = await getVideoInfo(videoPath);
+      log.debug('Main video frame', { width, height, fps });
+      frame = { width, height, fps, profile: null };
+    }
+
+    // The intro's transition leads into the video; the outro's leads into the outro
+    const segments = [];
+    if (intro) segments.push(intro);
+    segments.push({ ...main, transitionIn: intro ? intro.transition : { type: 'none', duration: 0 } });
+    if (outro) segments.push({ ...outro, transitionIn: outro.transition });
+
+    const inputArgs = [];
+    segments.forEach((segment, i) => {
+      segment.input = i;
+      inputArgs.push(...segmentInputArgs(segment));
+    });
+    if (music) {
+      music.input = segments.length;
+      inputArgs.push('-i', music.filePath);
+    }
+
+    const composition = buildComposition({ segments, frame, music });
+    outputPath = jobs.jobFilePath(job, `final_video_${uuidv4()}.mp4`);
+
+    await runFfmpeg([
+      ...inputArgs,
+      '-filter_complex', composition.filter,
+      '-map', '[outv]',
+      '-map', '[outa]',
+      '-c:v', 'libx264',
+      '-c:a', 'aac',
+      '-pix_fmt', 'yuv420p',
+      '-preset', 'fast',
+      ...(profile ? profileOutputOptions(profile) : []),
+      '-y',
+      outputPath
+    ], {
+      job,
+      duration: composition.duration,
+      // A full re-encode of the whole video
+      timeout: config.ffmpeg.longTimeout,
+      onProgress: (progress) => jobs.progressRange(job, 20, 100)({ phase: 'encode', ...progress })
+    });
+
+    // Check if output file was created
+    if (!fsSync.existsSync(outputPath)) {
+      throw new Error('Video processing failed - output file not created');
+    }
+
+    const stats = await fs.stat(outputPath);
+    const artifact = jobs.addArtifact(job, 'final', outputPath);
+
+    return {
+      success: true,
+      jobId: job.id,
+      finalVideoPath: outputPath,
+      originalVideoPath: videoPath,
+      thumbnailPath: intro ? intro.filePath : null,
+      thumbnailDuration: intro ? intro.duration : 0,
+      outputFileSize: stats.size,
+      outputDuration: composition.duration,
+      outputProfile: describeProfile(profile),
+      composition: {
+        intro: describeCard(intro),
+        outro: describeCard(outro),
+        introMusic: music && { volume: music.volume, duration: music.duration, fadeOut: music.fadeOut },
+        videoGeneratedSilence: !main.hasAudio
+      },
+      processedAt: new Date().toISOString(),
+      message: intro
+        ? `Video processed successfully with ${intro.duration}s ${intro.kind} intro${outro ? ' and outro' : ''}`
+        : 'Video processed successfully with outro',
+      artifactId: artifact.id,
+      downloadUrl: jobs.artifactUrl(job, artifact)
+    };
+  } catch (error) {
+    await removeQuietly(outputPath, 'failed output file');
+    throw error;
+  } finally {
+    // Downloaded cards and music are only needed for this render; a generated thumbnail stays with the job
+    for (const filePath of downloads) {
+      await removeQuietly(filePath, 'downloaded input');
+    }
+  }
+};
+
+module.exports = {
+  name: 'merge-thumbnail-video',
+  failureMessage: 'Failed to merge thumbnail with video',
+  validate,
+  run
+};
@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const config = require('../config');
+const HttpError = require('../http-error');
+const { getVideoInfo, runFfmpeg } = require('../media');
+const { probeMedia } = require('../probe');
+const {
+  normalizeOverlays,
+  prepareOverlays,
+  removeOverlayFiles,
+  overlayInputArgs,
+  buildOverlayFilter,
+  describeOverlays
+} = require('../overlays');
+
+// Overlays go on the latest edit, or the original video before any edit
+const getSourceVideo = (job) => jobs.getCurrentVideo(job) || jobs.getArtifact(job, 'input');
+
+const validate = (job, params) => {
+  const video = getSourceVideo(job);
+  if (!video || !fsSync.existsSync(video.path)) {
+    throw new HttpError(400, 'No video available to put overlays on');
+  }
+  if (params.overlays === undefined) {
+    throw new HttpError(400, 'overlays is required');
+  }
+
+  try {
+    normalizeOverlays(params.overlays);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+};
+
+// Burn logos and timed captions into the job's current video; the audio is copied as it is
+const run = async (job, params) => {
+  const videoPath = getSourceVideo(job).path;
+  const { overlays, files } = await prepareOverlays(job, normalizeOverlays(params.overlays), jobs.progressRange(job, 0, 10));
+  const outputPath = jobs.jobFilePath(job, `overlay_${uuidv4()}.mp4`);
+
+  try {
+    const probe = await probeMedia(videoPath);
+    const { width, height } = await getVideoInfo(videoPath);
+    const filter = buildOverlayFilter(overlays, {
+      input: '[0:v]',
+      output: '[vout]',
+      firstInput: 1,
+      frame: { width, height },
+      duration: probe.duration
+    });
+
+    await runFfmpeg([
+      '-i', videoPath,
+      ...overlayInputArgs(overlays),
+      '-filter_complex', filter,
+      '-map', '[vout]',
+      '-map', '0:a?',
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-crf', '20',
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'copy',
+      '-movflags', '+faststart',
+      '-y',
+      outputPath
+    ], {
+      job,
+      duration: probe.duration,
+      // A full re-encode of the whole video
+      timeout: config.ffmpeg.longTimeout,
+      onProgress: (progress) => jobs.progressRange(job, 10, 100)({ phase: 'encode', ...progress })
+    });
+  } catch (error) {
+    await fs.unlink(outputPath).catch(() => {});
+    throw error;
+  } finally {
+    await removeOverlayFiles(files);
+  }
+
+  if (!fsSync.existsSync(outputPath)) {
+    throw new Error('Video processing failed - output file not created');
+  }
+
+  const stats = await fs.stat(outputPath);
+  const artifact = jobs.addArtifact(job, 'final', outputPath);
+
+  return {
+    success: true,
+    jobId: job.id,
+    message: `Added ${overlays.length} overlay${overlays.length === 1 ? '' : 's'}`,
+    overlays: describeOverlays(overlays),
+    outputFileSize: stats.size,
+    artifactId: artifact.id,
+    downloadUrl: jobs.artifactUrl(job, artifact)
+  };
+};
+
+module.exports = {
+  name: 'overlay',
+  failureMessage: 'Failed to add overlays',
+  validate,
+  run
+};
@@ -0,0 +1,63 @@
+const fsSync = require('fs');
+const jobs = require('../jobs');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { signPath } = require('../auth');
+const { getDuration, runFfmpeg } = require('../media');
+
+const validate = (job, params) => {
+  const finalVideo = jobs.getCurrentVideo(job);
+  if (!finalVideo || !fsSync.existsSync(finalVideo.path)) {
+    throw new HttpError(400, 'No final video available to package');
+  }
+
+  const { segmentDuration = 4 } = params;
+  if (!(Number(segmentDuration) >= 1 && Number(segmentDuration) <= 30)) {
+    throw new HttpError(400, 'segmentDuration must be between 1 and 30 seconds');
+  }
+};
+
+// Package the job's final video as a VOD HLS playlist for in-browser preview
+const run = async (job, params) => {
+  const segmentDuration = Number(params.segmentDuration ?? 4);
+  const finalVideo = jobs.getCurrentVideo(job);
+
+  // Segments sit next to the playlist so its relative URLs resolve under /jobs/:jobId/hls/
+  const prefix = `hls_${finalVideo.id}`;
+  const playlistPath = jobs.jobFilePath(job, `${prefix}.m3u8`);
+  const segmentPattern = jobs.jobFilePath(job, `${prefix}_%03d.ts`);
+
+  log.info('Packaging HLS', { input: finalVideo.path });
+  await runFfmpeg([
+    '-i', finalVideo.path,
+    // Our outputs are H.264/AAC already, so segments can be cut without re-encoding
+    '-c', 'copy',
+    '-f', 'hls',
+    '-hls_time', String(segmentDuration),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', segmentPattern,
+    '-y',
+    playlistPath
+  ], {
+    job,
+    duration: await getDuration(finalVideo.path),
+    onProgress: (progress) => jobs.setProgress(job, progress.percent, { phase: 'package', ...progress })
+  });
+
+  const artifact = jobs.addArtifact(job, 'hls', playlistPath);
+
+  return {
+    success: true,
+    jobId: job.id,
+    artifactId: artifact.id,
+    sourceArtifactId: finalVideo.id,
+    playlistUrl: signPath(`/jobs/${job.id}/hls/${jobs.jobFileName(job, `${prefix}.m3u8`)}`)
+  };
+};
+
+module.exports = {
+  name: 'package-hls',
+  failureMessage: 'Failed to package HLS',
+  validate,
+  run
+};
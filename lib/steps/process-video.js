@@ -0,0 +1,168 @@
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const config = require('../config');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { getDuration, runFfmpeg } = require('../media');
+const {
+  normalizeKeepRanges,
+  resolveCutList,
+  normalizeTransitions,
+  buildCutFilter,
+  buildEdl
+} = require('../cutlist');
+const {
+  resolveOutputProfile,
+  buildReframeFilter,
+  profileOutputOptions,
+  describeProfile
+} = require('../profiles');
+
+// Raw filter graphs are arbitrary ffmpeg input, so they are only accepted when explicitly allowed
+const RAW_FILTERS_ALLOWED = config.processing.allowRawFilterComplex;
+
+// Keep ranges from a cut list, sent directly, or the ones found by /detect-silence
+// With a duration the ranges are also checked against it (and remove lists become keep lists)
+const resolveKeepRanges = (job, params, duration = null) => {
+  if (params.cutList) {
+    return resolveCutList(params.cutList, duration);
+  }
+  if (params.keepRanges) {
+    return normalizeKeepRanges(params.keepRanges, duration);
+  }
+  if (params.useDetectedSilence) {
+    return job.data.silence ? normalizeKeepRanges(job.data.silence.keepRanges, duration) : null;
+  }
+  return null;
+};
+
+const validate = (job, params) => {
+  if (!jobs.getArtifact(job, 'input')) {
+    throw new HttpError(400, 'No video file available for processing');
+  }
+
+  if (params.useDetectedSilence && !params.keepRanges && !params.cutList && !job.data.silence) {
+    throw new HttpError(400, 'No silence detection results for this job, call /detect-silence first');
+  }
+
+  if (params.filterComplex && !RAW_FILTERS_ALLOWED) {
+    throw new HttpError(400, 'filterComplex is disabled, send a cutList ({ keep } or { remove } ranges) instead');
+  }
+
+  try {
+    resolveOutputProfile(params);
+    normalizeTransitions(params.transitions);
+    resolveKeepRanges(job, params);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+};
+
+// Remove segments from the job's input video, using a cut list, keep ranges or a given complex filter
+const run = async (job, params) => {
+  const profile = resolveOutputProfile(params);
+  const currentVideoPath = jobs.getArtifact(job, 'input').path;
+
+  // Ranges are checked against the real duration before anything is encoded
+  let cut = null;
+  const wantsCut = params.cutList || params.keepRanges || params.useDetectedSilence;
+  if (wantsCut) {
+    const duration = await getDuration(currentVideoPath);
+    try {
+      const keepRanges = resolveKeepRanges(job, params, duration);
+      cut = buildCutFilter(keepRanges, { duration, ...normalizeTransitions(params.transitions) });
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+  const filterComplex = cut ? cut.filter : params.filterComplex;
+  job.data.edl = null;
+
+  const outputPath = jobs.jobFilePath(job, `processed_${uuidv4()}.mp4`);
+  
+  log.info('Processing video', { input: currentVideoPath, output: outputPath, profile: profile ? profile.name : undefined });
+  
+  // If no segments to remove and no profile to apply, just copy the file
+  if (!filterComplex && !profile) {
+    await fs.copyFile(currentVideoPath, outputPath);
+    const artifact = jobs.addArtifact(job, 'processed', outputPath);
+    return {
+      success: true,
+      jobId: job.id,
+      message: 'No segments to remove, video copied as-is',
+      outputPath: outputPath,
+      artifactId: artifact.id,
+      downloadUrl: jobs.artifactUrl(job, artifact)
+    };
+  }
+  
+  // The cut graph ends in [outv]/[outa]; an output profile then reframes the video
+  const graph = [];
+  let videoMap = '[outv]';
+  let audioMap = '[outa]';
+  if (filterComplex) {
+    graph.push(filterComplex);
+  } else {
+    videoMap = '[0:v]';
+    audioMap = '0:a?';
+  }
+  if (profile) {
+    graph.push(buildReframeFilter(videoMap, '[framed]', profile));
+    videoMap = '[framed]';
+  }
+  
+  // Apply complex filter to process both audio and video together
+  await runFfmpeg([
+    '-i', currentVideoPath,
+    '-filter_complex', graph.join(';'),
+    '-map', videoMap,
+    '-map', audioMap,
+    '-c:v', 'libx264',
+    '-c:a', 'aac',
+    '-preset', 'veryfast',
+    ...(profile ? profileOutputOptions(profile) : ['-crf', '23']),
+    '-avoid_negative_ts', 'make_zero',  // Helps with timing issues
+    '-y',
+    outputPath
+  ], {
+    job,
+    timeout: config.ffmpeg.longTimeout,
+    duration: cut ? cut.keepRanges.reduce((total, range) => total + range.end - range.start, 0) : 0,
+    onProgress: (progress) => jobs.setProgress(job, progress.percent, { phase: 'encode', ...progress })
+  });
+  const artifact = jobs.addArtifact(job, 'processed', outputPath);
+  
+  // Later steps (subtitle remapping) need to know where source timestamps ended up
+  const edl = cut ? buildEdl(cut.keepRanges) : undefined;
+  job.data.edl = edl || null;
+  // Subtitles remapped through an earlier cut no longer fit this one
+  if (job.data.subtitles && job.data.subtitles.remapped) {
+    job.data.subtitles = null;
+  }
+  
+  return {
+    success: true,
+    jobId: job.id,
+    message: 'Video processed successfully',
+    outputPath: outputPath,
+    artifactId: artifact.id,
+    downloadUrl: jobs.artifactUrl(job, artifact),
+    keepRanges: cut ? cut.keepRanges : undefined,
+    transitions: cut ? cut.transitions : undefined,
+    edl,
+    outputDuration: edl ? edl[edl.length - 1].outputEnd : undefined,
+    outputProfile: describeProfile(profile),
+    stats: {
+      originalSize: (await fs.stat(currentVideoPath)).size,
+      processedSize: (await fs.stat(outputPath)).size
+    }
+  };
+};
+
+module.exports = {
+  name: 'process-video',
+  failureMessage: 'Failed to process video',
+  validate,
+  run
+};
@@ -0,0 +1,125 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const jobs = require('../jobs');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { MAX_PUT_BYTES } = require('../s3');
+const { parseDestination, isFolder, publishFile } = require('../publish');
+
+// Without a list, the latest deliverable: a delivery encode, else the current video
+const DEFAULT_TYPES = ['compressed', 'final', 'processed'];
+
+const getDestination = (params) => {
+  try {
+    return parseDestination(params.destination);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+};
+
+// `artifacts` lists artifact IDs or types (a type means the latest artifact of it)
+const selectArtifacts = (job, requested) => {
+  if (requested === undefined || requested === null) {
+    const artifact = jobs.getArtifact(job, DEFAULT_TYPES);
+    if (!artifact) {
+      throw new HttpError(400, 'No finished video to publish');
+    }
+    requested = [artifact.id];
+  }
+
+  const entries = Array.isArray(requested) ? requested : [requested];
+  if (entries.length === 0) {
+    throw new HttpError(400, 'artifacts must list at least one artifact ID or type');
+  }
+
+  const selected = [];
+  entries.forEach((entry) => {
+    const artifact = jobs.getArtifactById(job, entry) || jobs.getArtifact(job, entry);
+    if (!artifact) {
+      throw new HttpError(400, `Artifact not found: ${entry}`);
+    }
+    // The playlist is useless without its segments, which are not artifacts of their own
+    if (artifact.type === 'hls') {
+      throw new HttpError(400, 'HLS packages cannot be published');
+    }
+    if (!fsSync.existsSync(artifact.path)) {
+      throw new HttpError(400, `Artifact ${artifact.id} (${artifact.type}) has no local file left to publish`);
+    }
+    if (!selected.includes(artifact)) {
+      selected.push(artifact);
+    }
+  });
+  return selected;
+};
+
+const validate = (job, params) => {
+  const destination = getDestination(params);
+  const artifacts = selectArtifacts(job, params.artifacts);
+  if (artifacts.length > 1 && !isFolder(destination)) {
+    throw new HttpError(400, 'Publishing several artifacts needs a folder destination: an S3 key or URL ending in "/", or Drive without a name');
+  }
+  // S3 takes single PUTs only, which it caps in size
+  if (destination.type === 's3') {
+    artifacts.forEach((artifact) => {
+      const { size } = fsSync.statSync(artifact.path);
+      if (size > MAX_PUT_BYTES) {
+        throw new HttpError(400, `Artifact ${artifact.id} (${artifact.type}) is ${size} bytes, more than the ${MAX_PUT_BYTES} bytes an S3 upload can take`);
+      }
+    });
+  }
+};
+
+// Upload the job's outputs and report where each went with its size and checksums.
+// deleteLocal removes the local copies, but only once every upload has been confirmed
+const run = async (job, params) => {
+  const destination = getDestination(params);
+  const artifacts = selectArtifacts(job, params.artifacts);
+  const deleteLocal = params.deleteLocal === true || params.deleteLocal === 'true';
+
+  const uploads = [];
+  for (let i = 0; i < artifacts.length; i++) {
+    const artifact = artifacts[i];
+    const upload = await publishFile(artifact.path, destination, {
+      name: jobs.artifactFileName(job, artifact),
+      onProgress: jobs.progressRange(job, (i / artifacts.length) * 100, ((i + 1) / artifacts.length) * 100)
+    });
+    artifact.published = [
+      ...(artifact.published || []),
+      { destination: upload.destination, location: upload.location, publishedAt: new Date().toISOString() }
+    ];
+    uploads.push({ artifactId: artifact.id, type: artifact.type, ...upload });
+  }
+
+  // The uploads succeeded either way, so a copy that cannot be removed is reported, not failed on
+  if (deleteLocal) {
+    for (let i = 0; i < artifacts.length; i++) {
+      try {
+        await fs.unlink(artifacts[i].path);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          log.warn('Failed to delete published artifact', { artifactId: artifacts[i].id, error: error.message });
+          uploads[i].localDeleted = false;
+          uploads[i].deleteError = error.message;
+          continue;
+        }
+      }
+      jobs.markArtifactDeleted(job, artifacts[i]);
+      uploads[i].localDeleted = true;
+    }
+  }
+
+  return {
+    success: true,
+    jobId: job.id,
+    uploads,
+    localDeleted: deleteLocal && uploads.every(upload => upload.localDeleted)
+  };
+};
+
+module.exports = {
+  name: 'publish',
+  failureMessage: 'Failed to publish outputs',
+  writesMedia: false,
+  validate,
+  run
+};
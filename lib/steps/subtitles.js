@@ -0,0 +1,145 @@
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const HttpError = require('../http-error');
+const {
+  checkSubtitles,
+  shiftCues,
+  scaleCues,
+  remapCues,
+  resplitCues,
+  cuesToSrt,
+  cuesToVtt
+} = require('../subtitles');
+
+const PARTIAL_MODES = ['clip', 'drop'];
+const MAX_SHIFT = 24 * 60 * 60;
+
+// Subtitle text from the request (any of the field names /add-music-subtitles takes), else none
+const getRequestText = (params) => params.subtitles || params.srtSubtitles || params.subtitleContent || null;
+
+// Cues to work on: the request's SRT/WebVTT, else the job's transcript (which keeps its word timings)
+const loadCues = (job, params) => {
+  const text = getRequestText(params);
+  if (text) {
+    return { source: 'request', ...checkSubtitles(text) };
+  }
+  return { source: 'transcript', format: 'srt', cues: job.data.transcript.cues, problems: [] };
+};
+
+// Transcripts come from the original audio, so they follow the cut by default; uploaded text only on request
+const shouldRemap = (job, params, source) => {
+  if (params.remap !== undefined) return params.remap === true || params.remap === 'true';
+  return source === 'transcript' && !!job.data.edl;
+};
+
+const validate = (job, params) => {
+  const text = getRequestText(params);
+  if (text !== null && typeof text !== 'string') {
+    throw new HttpError(400, 'subtitles must be SRT or WebVTT text');
+  }
+  if (!text && !job.data.transcript) {
+    throw new HttpError(400, 'No subtitle content provided (send subtitles or call /transcribe first)');
+  }
+
+  const { shift = 0, scale = 1, partial = 'clip', maxCharsPerLine, maxLines = 2 } = params;
+  if (!(Math.abs(Number(shift)) <= MAX_SHIFT)) {
+    throw new HttpError(400, 'shift must be a number of seconds');
+  }
+  if (!(Number(scale) > 0 && Number(scale) <= 10)) {
+    throw new HttpError(400, 'scale must be a factor above 0 and at most 10');
+  }
+  if (!PARTIAL_MODES.includes(partial)) {
+    throw new HttpError(400, `partial must be one of: ${PARTIAL_MODES.join(', ')}`);
+  }
+  if (maxCharsPerLine !== undefined && !(Number.isInteger(Number(maxCharsPerLine)) && Number(maxCharsPerLine) >= 8 && Number(maxCharsPerLine) <= 200)) {
+    throw new HttpError(400, 'maxCharsPerLine must be a whole number from 8 to 200');
+  }
+  if (!(Number.isInteger(Number(maxLines)) && Number(maxLines) >= 1 && Number(maxLines) <= 4)) {
+    throw new HttpError(400, 'maxLines must be a whole number from 1 to 4');
+  }
+  if (params.remap === true || params.remap === 'true') {
+    if (!job.data.edl) {
+      throw new HttpError(400, 'remap needs a cut from /process-video on this job');
+    }
+  }
+};
+
+// Validate subtitles, then shift/scale them, remap them through the job's cut and re-split long cues.
+// The result is stored on the job, where /add-music-subtitles picks it up
+const run = async (job, params) => {
+  const { source, format, cues: parsed, problems } = loadCues(job, params);
+  if (format === 'ass') {
+    throw new HttpError(422, problems[0].message);
+  }
+  if (parsed.length === 0) {
+    const reasons = problems.slice(0, 3).map(problem => `${problem.cue ? `cue ${problem.cue}: ` : ''}${problem.message}`);
+    throw new HttpError(422, `Subtitle content contains no valid cues (${reasons.join('; ')})`);
+  }
+  if (params.validateOnly === true || params.validateOnly === 'true') {
+    return { success: true, jobId: job.id, format, cueCount: parsed.length, valid: problems.length === 0, problems };
+  }
+
+  let cues = parsed;
+  const shift = Number(params.shift ?? 0);
+  const scale = Number(params.scale ?? 1);
+  if (scale !== 1) cues = scaleCues(cues, scale);
+  if (shift !== 0) cues = shiftCues(cues, shift);
+
+  let remap = null;
+  if (shouldRemap(job, params, source)) {
+    const result = remapCues(cues, job.data.edl, { partial: params.partial || 'clip' });
+    cues = result.cues;
+    remap = { dropped: result.dropped, clipped: result.clipped };
+  }
+
+  if (params.maxCharsPerLine !== undefined) {
+    cues = resplitCues(cues, { maxCharsPerLine: Number(params.maxCharsPerLine), maxLines: Number(params.maxLines ?? 2) });
+  }
+  if (cues.length === 0) {
+    throw new HttpError(422, 'No cues are left after retiming');
+  }
+
+  const srt = cuesToSrt(cues);
+  const vtt = cuesToVtt(cues);
+  const downloads = {};
+  const editId = uuidv4();
+  for (const [extension, content] of [['srt', srt], ['vtt', vtt]]) {
+    const filePath = jobs.jobFilePath(job, `subtitles_edit_${editId}.${extension}`);
+    await fs.writeFile(filePath, content, 'utf8');
+    const artifact = jobs.addArtifact(job, `subtitles-${extension}`, filePath);
+    downloads[extension] = jobs.artifactUrl(job, artifact);
+  }
+
+  job.data.subtitles = {
+    source,
+    language: source === 'transcript' ? job.data.transcript.language : null,
+    remapped: !!remap,
+    cues,
+    srt,
+    createdAt: new Date().toISOString()
+  };
+
+  return {
+    success: true,
+    jobId: job.id,
+    source,
+    inputFormat: format,
+    problems,
+    cueCount: cues.length,
+    shift,
+    scale,
+    remap,
+    srt,
+    vtt,
+    downloads
+  };
+};
+
+module.exports = {
+  name: 'subtitles',
+  failureMessage: 'Failed to edit subtitles',
+  writesMedia: false,
+  validate,
+  run
+};
@@ -0,0 +1,201 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { getDuration, getVideoInfo, runFfmpeg } = require('../media');
+const { escapeFilterPath } = require('../subtitles');
+const {
+  ANALYSIS_WIDTH,
+  buildAnalysisFilter,
+  parseMetadataOutput,
+  scoreFrames,
+  pickCandidates,
+  gridLayout,
+  resolveTitleStyle,
+  buildTitleFilter
+} = require('../thumbnails');
+
+const MAX_CANDIDATES = 20;
+const MAX_TITLE_LENGTH = 200;
+
+// Thumbnails are taken from the latest edit, or the original video before any edit
+const getSourceVideo = (job) => jobs.getCurrentVideo(job) || jobs.getArtifact(job, 'input');
+
+const validate = (job, params) => {
+  const video = getSourceVideo(job);
+  if (!video || !fsSync.existsSync(video.path)) {
+    throw new HttpError(400, 'No video available to take thumbnails from');
+  }
+
+  const { count = 6, sceneThreshold = 0.3, interval, minGap = 1, choose = 0, title } = params;
+  if (!Number.isInteger(Number(count)) || Number(count) < 1 || Number(count) > MAX_CANDIDATES) {
+    throw new HttpError(400, `count must be a whole number from 1 to ${MAX_CANDIDATES}`);
+  }
+  if (!(Number(sceneThreshold) > 0 && Number(sceneThreshold) < 1)) {
+    throw new HttpError(400, 'sceneThreshold must be between 0 and 1');
+  }
+  if (interval !== undefined && !(Number(interval) > 0)) {
+    throw new HttpError(400, 'interval must be a number of seconds greater than 0');
+  }
+  if (!(Number(minGap) >= 0)) {
+    throw new HttpError(400, 'minGap must be 0 or more seconds');
+  }
+  if (!Number.isInteger(Number(choose)) || Number(choose) < 0 || Number(choose) >= Number(count)) {
+    throw new HttpError(400, 'choose must be the index of one of the returned candidates (0 is the best)');
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+    throw new HttpError(400, `title must be text of at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  try {
+    resolveTitleStyle(params.titleStyle);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+};
+
+const describeArtifact = (job, artifact) => ({
+  artifactId: artifact.id,
+  downloadUrl: jobs.artifactUrl(job, artifact)
+});
+
+// Score frames at scene changes (and at regular intervals), keep the best ones,
+// lay them out on a contact sheet and turn the chosen one into the job's thumbnail
+const run = async (job, params) => {
+  const count = Number(params.count ?? 6);
+  const sceneThreshold = Number(params.sceneThreshold ?? 0.3);
+  const minGap = Number(params.minGap ?? 1);
+  const choose = Number(params.choose ?? 0);
+  const titleStyle = resolveTitleStyle(params.titleStyle);
+
+  const videoPath = getSourceVideo(job).path;
+  const duration = await getDuration(videoPath);
+  const { width, height } = await getVideoInfo(videoPath);
+  // About 30 evenly spread samples, between 1 and 10 seconds apart
+  const interval = Number(params.interval ?? Math.min(10, Math.max(1, duration / 30)));
+
+  const batch = uuidv4().slice(0, 8);
+  const statsFile = jobs.jobFilePath(job, `thumbstats_${batch}.txt`);
+  const edgesFile = jobs.jobFilePath(job, `thumbedges_${batch}.txt`);
+
+  log.info('Scoring thumbnail candidates', { sceneThreshold, interval });
+  let scored;
+  try {
+    await runFfmpeg([
+      '-i', videoPath,
+      '-vf', buildAnalysisFilter({
+        sceneThreshold,
+        interval,
+        statsFile: escapeFilterPath(statsFile),
+        edgesFile: escapeFilterPath(edgesFile)
+      }),
+      '-an',
+      '-f', 'null',
+      '-'
+    ], {
+      job,
+      duration,
+      onProgress: (progress) => jobs.progressRange(job, 0, 60)({ phase: 'analyze', ...progress })
+    });
+
+    scored = scoreFrames(
+      parseMetadataOutput(await fs.readFile(statsFile, 'utf8')),
+      parseMetadataOutput(await fs.readFile(edgesFile, 'utf8'))
+    );
+  } finally {
+    await fs.unlink(statsFile).catch(() => {});
+    await fs.unlink(edgesFile).catch(() => {});
+  }
+
+  const picked = pickCandidates(scored, count, minGap);
+  if (picked.length === 0) {
+    throw new HttpError(422, 'No frames could be analysed in this video');
+  }
+
+  // Numbered by rank so the contact sheet can read them back as an image sequence
+  const candidates = [];
+  for (let i = 0; i < picked.length; i++) {
+    const framePath = jobs.jobFilePath(job, `thumbs_${batch}_${String(i + 1).padStart(2, '0')}.jpg`);
+    await runFfmpeg([
+      '-ss', picked[i].time.toFixed(3),
+      '-i', videoPath,
+      '-frames:v', '1',
+      '-q:v', '2',
+      '-y',
+      framePath
+    ], { job });
+    const artifact = jobs.addArtifact(job, 'thumbnail-candidate', framePath);
+    candidates.push({ rank: i, ...picked[i], ...describeArtifact(job, artifact) });
+    jobs.setProgress(job, 60 + ((i + 1) / picked.length) * 25, { phase: 'extract' });
+  }
+
+  const { columns, rows } = gridLayout(candidates.length);
+  const tileHeight = Math.round((ANALYSIS_WIDTH * height) / width / 2) * 2;
+  const sheetPath = jobs.jobFilePath(job, `contactsheet_${batch}.jpg`);
+  await runFfmpeg([
+    '-framerate', '1',
+    '-i', jobs.jobFilePath(job, `thumbs_${batch}_%02d.jpg`),
+    '-vf', [
+      `scale=${ANALYSIS_WIDTH}:${tileHeight}:force_original_aspect_ratio=decrease`,
+      `pad=${ANALYSIS_WIDTH}:${tileHeight}:(ow-iw)/2:(oh-ih)/2:black`,
+      `tile=${columns}x${rows}:padding=6:margin=6`
+    ].join(','),
+    '-frames:v', '1',
+    '-q:v', '3',
+    '-y',
+    sheetPath
+  ], { job });
+  const sheetArtifact = jobs.addArtifact(job, 'contact-sheet', sheetPath);
+  jobs.setProgress(job, 90, { phase: 'contact-sheet' });
+
+  // The chosen frame becomes the job's thumbnail, with the title drawn on when one is given
+  const chosen = candidates[Math.min(choose, candidates.length - 1)];
+  const chosenPath = jobs.getArtifactById(job, chosen.artifactId).path;
+  const thumbnailPath = jobs.jobFilePath(job, `thumbnail_${batch}.png`);
+  const titleFile = jobs.jobFilePath(job, `thumbtitle_${batch}.txt`);
+  try {
+    if (params.title) {
+      await fs.writeFile(titleFile, params.title, 'utf8');
+    }
+    await runFfmpeg([
+      '-i', chosenPath,
+      ...(params.title ? ['-vf', buildTitleFilter(escapeFilterPath(titleFile), titleStyle)] : []),
+      '-frames:v', '1',
+      '-y',
+      thumbnailPath
+    ], { job });
+  } finally {
+    await fs.unlink(titleFile).catch(() => {});
+  }
+  const thumbnailArtifact = jobs.addArtifact(job, 'thumbnail', thumbnailPath);
+
+  // /merge-thumbnail-video falls back to this thumbnail when none is given
+  job.data.thumbnails = {
+    candidates: candidates.map(({ rank, time, score }) => ({ rank, time, score })),
+    chosen: chosen.rank,
+    thumbnailArtifactId: thumbnailArtifact.id
+  };
+
+  return {
+    success: true,
+    jobId: job.id,
+    analysedFrames: scored.length,
+    candidates,
+    contactSheet: { columns, rows, ...describeArtifact(job, sheetArtifact) },
+    thumbnail: {
+      rank: chosen.rank,
+      time: chosen.time,
+      title: params.title || null,
+      ...describeArtifact(job, thumbnailArtifact)
+    }
+  };
+};
+
+module.exports = {
+  name: 'thumbnails',
+  failureMessage: 'Failed to create thumbnails',
+  validate,
+  run
+};
@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const jobs = require('../jobs');
+const log = require('../logger');
+const HttpError = require('../http-error');
+const { cuesToSrt, cuesToVtt } = require('../subtitles');
+const { PROVIDERS, defaultProvider, segmentsToCues } = require('../transcription');
+
+const LANGUAGE_PATTERN = /^([a-z]{2,3}|auto)$/i;
+const MAX_PROMPT_LENGTH = 1000;
+
+const validate = (job, params) => {
+  const audio = jobs.getArtifact(job, 'audio');
+  if (!audio || !fsSync.existsSync(audio.path)) {
+    throw new HttpError(400, 'No extracted audio available for this job, call /extract-audio first');
+  }
+
+  const { provider = defaultProvider(), language = 'auto', prompt } = params;
+  if (!PROVIDERS[provider]) {
+    throw new HttpError(400, `provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!LANGUAGE_PATTERN.test(language)) {
+    throw new HttpError(400, 'language must be an ISO 639 code like "en", or "auto" to detect it');
+  }
+  if (prompt !== undefined && (typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH)) {
+    throw new HttpError(400, `prompt must be text of at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+
+  try {
+    PROVIDERS[provider].checkConfig();
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+};
+
+// Transcribe the job's extracted audio into SRT, WebVTT and word timings
+const run = async (job, params) => {
+  const { provider: providerName = defaultProvider(), language = 'auto', prompt = null } = params;
+  const provider = PROVIDERS[providerName];
+  const audioPath = jobs.getArtifact(job, 'audio').path;
+
+  log.info('Transcribing audio', { provider: provider.name, language });
+  jobs.setProgress(job, 5, { phase: 'transcribe' });
+  const result = await provider.transcribe(audioPath, { language: language.toLowerCase(), prompt });
+  jobs.setProgress(job, 90, { phase: 'transcribe' });
+
+  const cues = segmentsToCues(result.segments);
+  if (cues.length === 0) {
+    throw new HttpError(422, 'No speech was recognised in the audio');
+  }
+  const srt = cuesToSrt(cues);
+  const vtt = cuesToVtt(cues);
+  const words = cues.flatMap(cue => cue.words);
+
+  // One name per run, so a rerun does not overwrite the files an earlier artifact points at
+  const runId = uuidv4();
+  const files = {
+    srt: [jobs.jobFilePath(job, `transcript_${runId}.srt`), srt],
+    vtt: [jobs.jobFilePath(job, `transcript_${runId}.vtt`), vtt],
+    json: [jobs.jobFilePath(job, `transcript_${runId}.json`), JSON.stringify({ language: result.language, cues }, null, 2)]
+  };
+  const downloads = {};
+  for (const [format, [filePath, content]] of Object.entries(files)) {
+    await fs.writeFile(filePath, content, 'utf8');
+    const artifact = jobs.addArtifact(job, `transcript-${format}`, filePath);
+    downloads[format] = jobs.artifactUrl(job, artifact);
+  }
+
+  // /add-music-subtitles uses this when a request brings no subtitles of its own
+  job.data.transcript = {
+    provider: provider.name,
+    language: result.language,
+    duration: result.duration,
+    cues,
+    srt,
+    createdAt: new Date().toISOString()
+  };
+
+  return {
+    success: true,
+    jobId: job.id,
+    provider: provider.name,
+    language: result.language,
+    duration: result.duration,
+    cueCount: cues.length,
+    wordCount: words.length,
+    srt,
+    vtt,
+    words,
+    downloads
+  };
+};
+
+module.exports = {
+  name: 'transcribe',
+  failureMessage: 'Failed to transcribe audio',
+  writesMedia: false,
+  validate,
+  run
+};
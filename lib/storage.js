@@ -0,0 +1,215 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const jobs = require('./jobs');
+const config = require('./config');
+const log = require('./logger');
+const metrics = require('./metrics');
+const HttpError = require('./http-error');
+
+const TEMP_DIR = config.paths.temp;
+
+// jobTtl: finished jobs (and their artifacts) are removed this long after they were last used
+// orphanTtl: files in temp/ that no job owns, and stray attemptDownload files in the OS temp dir
+const settings = config.storage;
+
+let reaperTimer = null;
+
+const jobsRemoved = metrics.counter('video_storage_jobs_removed_total', 'Jobs whose files the storage reaper removed, by reason (expired, evicted).', ['reason']);
+
+const isActive = (job) => job.status === 'running';
+
+// When a job expires: TTL after it was last touched
+const expiresAt = (job) => new Date(new Date(job.lastAccessedAt).getTime() + settings.jobTtl).toISOString();
+
+// Total size of the files directly inside a directory
+const getDirSize = async (dir) => {
+  let total = 0;
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch {
+    return 0;
+  }
+  for (const file of files) {
+    try {
+      const stats = await fs.stat(path.join(dir, file));
+      if (stats.isFile()) total += stats.size;
+    } catch {
+      // File removed while we were looking at it
+    }
+  }
+  return total;
+};
+
+// Free bytes on the temp dir's filesystem, or null where statfs is not available
+const getFreeSpace = async () => {
+  if (typeof fs.statfs !== 'function') {
+    return null;
+  }
+  const stats = await fs.statfs(fsSync.existsSync(TEMP_DIR) ? TEMP_DIR : '.');
+  return stats.bavail * stats.bsize;
+};
+
+// Bytes a job's files take up in temp/
+const getJobSize = async (job) => {
+  let total = 0;
+  const files = await fs.readdir(TEMP_DIR).catch(() => []);
+  for (const file of files) {
+    if (file.startsWith(`${job.id}_`)) {
+      const stats = await fs.stat(path.join(TEMP_DIR, file)).catch(() => null);
+      if (stats) total += stats.size;
+    }
+  }
+  return total;
+};
+
+// Delete a job's artifacts plus any other file it left in temp/, and forget the job
+const removeJobFiles = async (job) => {
+  const deleted = await jobs.removeJob(job);
+  const files = await fs.readdir(TEMP_DIR).catch(() => []);
+
+  for (const file of files) {
+    if (file.startsWith(`${job.id}_`)) {
+      const filePath = path.join(TEMP_DIR, file);
+      await fs.unlink(filePath).catch(() => {});
+      deleted.push(filePath);
+    }
+  }
+
+  log.info('Removed job files', { jobId: job.id, files: deleted.length });
+  return deleted;
+};
+
+// Remove files older than the orphan TTL that no live job owns
+const sweepOrphans = async () => {
+  const removed = [];
+  const now = Date.now();
+
+  const sweep = async (dir, matches) => {
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const file of files) {
+      if (!matches(file)) continue;
+      const filePath = path.join(dir, file);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats && stats.isFile() && now - stats.mtime.getTime() > settings.orphanTtl) {
+        await fs.unlink(filePath).catch(() => {});
+        removed.push(filePath);
+        log.info('Removed orphaned file', { file: filePath });
+      }
+    }
+  };
+
+  await sweep(TEMP_DIR, file => !jobs.isJobFile(file));
+  // Older versions staged Drive downloads in the OS temp dir as temp_<timestamp>.mp4
+  await sweep(os.tmpdir(), file => /^temp_\d+\.mp4$/.test(file));
+
+  return removed;
+};
+
+// Evict least-recently-used finished jobs until `extraBytes` more fits in the quota
+const enforceQuota = async (extraBytes = 0) => {
+  let used = await getDirSize(TEMP_DIR);
+  const evicted = [];
+
+  const candidates = jobs.listJobs()
+    .filter(job => !isActive(job))
+    .sort((a, b) => new Date(a.lastAccessedAt) - new Date(b.lastAccessedAt));
+
+  for (const job of candidates) {
+    if (used + extraBytes <= settings.quotaBytes) break;
+    const size = await getJobSize(job);
+    log.info('Evicting job to stay within the storage quota', { jobId: job.id, bytes: size });
+    await removeJobFiles(job);
+    jobsRemoved.inc({ reason: 'evicted' });
+    used -= size;
+    evicted.push(job.id);
+  }
+
+  return { used, evicted, withinQuota: used + extraBytes <= settings.quotaBytes };
+};
+
+// Fail early (507) when a download or encode of about `bytesNeeded` would not fit
+const ensureSpace = async (bytesNeeded = 0) => {
+  const quota = await enforceQuota(bytesNeeded);
+  if (!quota.withinQuota) {
+    throw new HttpError(507, `Storage quota exceeded: ${quota.used} bytes in use, ${bytesNeeded} more needed, quota is ${settings.quotaBytes}`);
+  }
+
+  const free = await getFreeSpace();
+  if (free !== null && free < settings.minFreeBytes + bytesNeeded) {
+    throw new HttpError(507, `Not enough free disk space: ${free} bytes free, need ${settings.minFreeBytes + bytesNeeded}`);
+  }
+};
+
+// Rough space a step will need: two copies of the video it works on
+const estimateStepSpace = (job) => {
+  const video = jobs.getCurrentVideo(job) || jobs.getArtifact(job, 'input');
+  if (!video || !fsSync.existsSync(video.path)) {
+    return 0;
+  }
+  return fsSync.statSync(video.path).size * 2;
+};
+
+// Remove expired jobs and orphaned files, then bring usage back under the quota
+const reap = async () => {
+  const now = Date.now();
+  const expired = jobs.listJobs().filter(job => !isActive(job) && new Date(expiresAt(job)).getTime() <= now);
+
+  for (const job of expired) {
+    log.info('Job expired, removing its files', { jobId: job.id });
+    await removeJobFiles(job);
+    jobsRemoved.inc({ reason: 'expired' });
+  }
+
+  const orphans = await sweepOrphans();
+  const quota = await enforceQuota();
+
+  return {
+    expiredJobs: expired.map(job => job.id),
+    orphanFiles: orphans.length,
+    evictedJobs: quota.evicted,
+    usedBytes: quota.used
+  };
+};
+
+const startReaper = () => {
+  if (reaperTimer) return;
+  reaperTimer = setInterval(() => {
+    reap().catch(error => log.error('Storage reaper failed', { error }));
+  }, settings.reapInterval);
+  reaperTimer.unref();
+};
+
+// Current usage for the /storage route
+const getUsage = async () => ({
+  usedBytes: await getDirSize(TEMP_DIR),
+  quotaBytes: settings.quotaBytes,
+  freeBytes: await getFreeSpace(),
+  minFreeBytes: settings.minFreeBytes,
+  jobTtlMs: settings.jobTtl,
+  jobs: jobs.listJobs().length
+});
+
+metrics.gauge('video_temp_dir_bytes', 'Bytes of files in temp/.', [], async (set) => set({}, await getDirSize(TEMP_DIR)));
+metrics.gauge('video_temp_free_bytes', 'Free bytes on the filesystem holding temp/.', [], async (set) => {
+  const free = await getFreeSpace();
+  if (free !== null) set({}, free);
+});
+metrics.gauge('video_storage_quota_bytes', 'Quota for files in temp/.', [], (set) => set({}, settings.quotaBytes));
+
+module.exports = {
+  TEMP_DIR,
+  settings,
+  getFreeSpace,
+  expiresAt,
+  removeJobFiles,
+  sweepOrphans,
+  enforceQuota,
+  ensureSpace,
+  estimateStepSpace,
+  reap,
+  startReaper,
+  getUsage
+};
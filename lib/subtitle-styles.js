@@ -0,0 +1,85 @@
+// Named subtitle styles. Sizes and margins are in libass script units (384x288 play area)
+const STYLE_PRESETS = {
+  default: {
+    fontName: 'Arial',
+    fontSize: 12,
+    primaryColour: '&H00FFFFFF',
+    outlineColour: '&H00000000',
+    backColour: '&H80000000',
+    bold: true,
+    outline: 2,
+    shadow: 0,
+    borderStyle: 1,
+    alignment: 2,
+    marginV: 40,
+    marginL: 75,
+    marginR: 75
+  },
+  minimal: {
+    fontName: 'Arial',
+    fontSize: 10,
+    primaryColour: '&H00FFFFFF',
+    outlineColour: '&H00000000',
+    backColour: '&H00000000',
+    bold: false,
+    outline: 1,
+    shadow: 0,
+    borderStyle: 1,
+    alignment: 2,
+    marginV: 20,
+    marginL: 20,
+    marginR: 20
+  },
+  boxed: {
+    fontName: 'Arial',
+    fontSize: 11,
+    primaryColour: '&H00FFFFFF',
+    outlineColour: '&H80000000',
+    backColour: '&H80000000',
+    bold: false,
+    outline: 1,
+    shadow: 0,
+    borderStyle: 3,
+    alignment: 2,
+    marginV: 30,
+    marginL: 40,
+    marginR: 40
+  },
+  shorts: {
+    fontName: 'Arial',
+    fontSize: 18,
+    primaryColour: '&H00FFFFFF',
+    outlineColour: '&H00000000',
+    backColour: '&H80000000',
+    bold: true,
+    outline: 3,
+    shadow: 1,
+    borderStyle: 1,
+    alignment: 2,
+    marginV: 70,
+    marginL: 30,
+    marginR: 30
+  },
+  // Word-by-word highlight: words switch from secondaryColour to primaryColour as they are spoken
+  karaoke: {
+    fontName: 'Arial',
+    fontSize: 18,
+    primaryColour: '&H0000FFFF',
+    secondaryColour: '&H00FFFFFF',
+    outlineColour: '&H00000000',
+    backColour: '&H80000000',
+    bold: true,
+    outline: 3,
+    shadow: 1,
+    borderStyle: 1,
+    alignment: 2,
+    marginV: 70,
+    marginL: 30,
+    marginR: 30,
+    karaoke: true
+  }
+};
+
+module.exports = {
+  STYLE_PRESETS
+};
@@ -0,0 +1,435 @@
+const config = require('./config');
+const { STYLE_PRESETS } = require('./subtitle-styles');
+
+// Style keys we accept and the ASS field each one maps to
+const STYLE_FIELDS = {
+  fontName: 'FontName',
+  fontSize: 'FontSize',
+  primaryColour: 'PrimaryColour',
+  secondaryColour: 'SecondaryColour',
+  outlineColour: 'OutlineColour',
+  backColour: 'BackColour',
+  bold: 'Bold',
+  italic: 'Italic',
+  outline: 'Outline',
+  shadow: 'Shadow',
+  borderStyle: 'BorderStyle',
+  alignment: 'Alignment',
+  marginL: 'MarginL',
+  marginR: 'MarginR',
+  marginV: 'MarginV'
+};
+
+const COLOUR_PATTERN = /^&H[0-9A-Fa-f]{6,8}&?$/;
+const FONT_PATTERN = /^[\w .-]+$/;
+
+// Guess the format of subtitle text: ass, vtt or srt
+const detectFormat = (text) => {
+  const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+  if (/^\[Script Info\]/i.test(trimmed) || /^Dialogue:/m.test(trimmed)) {
+    return 'ass';
+  }
+  if (/^WEBVTT/.test(trimmed)) {
+    return 'vtt';
+  }
+  return 'srt';
+};
+
+// Parse "hh:mm:ss,mmm", "hh:mm:ss.mmm" or "mm:ss.mmm" into seconds
+const parseTimestamp = (value) => {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+  if (!match) {
+    throw new Error(`Invalid subtitle timestamp: ${value}`);
+  }
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+};
+
+// Parse SRT or WebVTT text into cues of { start, end, text }
+const parseCues = (text) => {
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [startText, endRest] = lines[timingIndex].split('-->');
+    // WebVTT cue settings (position, align, ...) follow the end timestamp
+    const endText = endRest.trim().split(/\s+/)[0];
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    const cueText = lines.slice(timingIndex + 1).join('\n');
+
+    if (end > start && cueText) {
+      cues.push({ start, end, text: cueText });
+    }
+  });
+
+  return cues;
+};
+
+// Parse SRT/WebVTT text without giving up on the first bad block, reporting what is wrong with it
+// Returns { format, cues, problems: [{ cue, message }] }
+const checkSubtitles = (text) => {
+  const format = detectFormat(text);
+  const problems = [];
+  const cues = [];
+
+  if (format === 'ass') {
+    return { format, cues, problems: [{ cue: null, message: 'ASS scripts can be burned in but not retimed' }] };
+  }
+
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  blocks.forEach((block, index) => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      if (lines.length > 0 && !/^(WEBVTT|NOTE|STYLE|REGION)/.test(lines[0])) {
+        problems.push({ cue: index + 1, message: 'Block has no "start --> end" timing line' });
+      }
+      return;
+    }
+
+    const [startText, endRest = ''] = lines[timingIndex].split('-->');
+    let start;
+    let end;
+    try {
+      start = parseTimestamp(startText);
+      end = parseTimestamp(endRest.trim().split(/\s+/)[0] || '');
+    } catch (error) {
+      problems.push({ cue: index + 1, message: error.message });
+      return;
+    }
+
+    const cueText = lines.slice(timingIndex + 1).join('\n');
+    if (end <= start) {
+      problems.push({ cue: index + 1, message: 'Cue ends before it starts' });
+    } else if (!cueText) {
+      problems.push({ cue: index + 1, message: 'Cue has no text' });
+    } else {
+      const previous = cues[cues.length - 1];
+      if (previous && start < previous.start) {
+        problems.push({ cue: index + 1, message: 'Cue starts before the previous one' });
+      } else if (previous && start < previous.end) {
+        problems.push({ cue: index + 1, message: 'Cue overlaps the previous one' });
+      }
+      cues.push({ start, end, text: cueText });
+    }
+  });
+
+  if (cues.length === 0 && problems.length === 0) {
+    problems.push({ cue: null, message: 'No cues found' });
+  }
+  return { format, cues, problems };
+};
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// Apply a time mapping to a cue and its word timings, dropping cues that end up empty
+const mapCueTimes = (cues, mapTime) => cues
+  .map(cue => ({
+    ...cue,
+    start: roundTime(mapTime(cue.start)),
+    end: roundTime(mapTime(cue.end)),
+    ...(cue.words ? { words: cue.words.map(word => ({ ...word, start: roundTime(mapTime(word.start)), end: roundTime(mapTime(word.end)) })) } : {})
+  }))
+  .filter(cue => cue.end > 0 && cue.end > cue.start)
+  .map(cue => ({ ...cue, start: Math.max(0, cue.start) }));
+
+// Move every cue by `offset` seconds (negative is earlier); cues pushed before 0 are clipped or dropped
+const shiftCues = (cues, offset) => mapCueTimes(cues, time => time + offset);
+
+// Stretch timings by `factor`, e.g. 25 / 23.976 for a frame-rate conversion or 1 / speed
+const scaleCues = (cues, factor) => mapCueTimes(cues, time => time * factor);
+
+// Remap cue timings through an edit decision list ([{ sourceStart, sourceEnd, outputStart, outputEnd }])
+// Cues wholly inside removed ranges are dropped; cues that are partly removed are clipped to what
+// was kept (`partial: 'clip'`) or dropped (`partial: 'drop'`). Clipped leftovers shorter than
+// `minDuration` are dropped too. Returns { cues, dropped, clipped }.
+const remapCues = (cues, edl, options = {}) => {
+  const { partial = 'clip', minDuration = 0.2 } = options;
+  const remapped = [];
+  let dropped = 0;
+  let clipped = 0;
+
+  cues.forEach((cue) => {
+    const pieces = edl
+      .map(entry => ({
+        entry,
+        start: Math.max(cue.start, entry.sourceStart),
+        end: Math.min(cue.end, entry.sourceEnd)
+      }))
+      .filter(piece => piece.end > piece.start);
+
+    const keptLength = pieces.reduce((total, piece) => total + (piece.end - piece.start), 0);
+    const isPartial = keptLength < (cue.end - cue.start) - 0.001;
+    if (pieces.length === 0 || (isPartial && partial === 'drop') || keptLength < Math.min(minDuration, cue.end - cue.start)) {
+      dropped++;
+      return;
+    }
+    if (isPartial) clipped++;
+
+    // Kept pieces are back to back in the output, so the cue runs from the first to the last
+    const toOutput = (piece, time) => piece.entry.outputStart + (time - piece.entry.sourceStart);
+    const first = pieces[0];
+    const last = pieces[pieces.length - 1];
+    const result = {
+      ...cue,
+      start: roundTime(toOutput(first, first.start)),
+      end: roundTime(toOutput(last, last.end))
+    };
+
+    if (cue.words) {
+      result.words = cue.words
+        .map((word) => {
+          const piece = pieces.find(p => word.start >= p.start && word.start < p.end);
+          return piece && {
+            ...word,
+            start: roundTime(toOutput(piece, word.start)),
+            end: roundTime(toOutput(piece, Math.min(word.end, piece.end)))
+          };
+        })
+        .filter(Boolean);
+      // Text follows the words that survived, so removed speech does not stay on screen
+      if (isPartial && result.words.length > 0) {
+        result.text = result.words.map(word => word.word).join(' ');
+      }
+    }
+    remapped.push(result);
+  });
+
+  return { cues: remapped, dropped, clipped };
+};
+
+// Break text into lines of at most maxChars, at word boundaries (a longer single word gets its own line)
+const wrapText = (text, maxChars) => {
+  const words = text.replace(/\s+/g, ' ').trim().split(' ');
+  const lines = [];
+  words.forEach((word) => {
+    const current = lines[lines.length - 1];
+    if (current !== undefined && `${current} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+};
+
+// Re-wrap cues to maxCharsPerLine and split those needing more than maxLines into several cues
+// Time is shared out by the words' own timings when there are any, otherwise by text length
+const resplitCues = (cues, options = {}) => {
+  const { maxCharsPerLine = 32, maxLines = 2 } = options;
+  const result = [];
+
+  cues.forEach((cue) => {
+    const plain = cue.text.replace(/<[^>]+>/g, '');
+    const lines = wrapText(plain, maxCharsPerLine);
+    if (lines.length <= maxLines) {
+      result.push({ ...cue, text: lines.join('\n') });
+      return;
+    }
+
+    const chunks = [];
+    for (let i = 0; i < lines.length; i += maxLines) {
+      chunks.push(lines.slice(i, i + maxLines));
+    }
+
+    const totalChars = plain.replace(/\s+/g, '').length;
+    let position = cue.start;
+    let wordIndex = 0;
+    chunks.forEach((chunk, i) => {
+      const wordCount = chunk.join(' ').split(' ').length;
+      const words = cue.words ? cue.words.slice(wordIndex, wordIndex + wordCount) : null;
+      wordIndex += wordCount;
+
+      let end;
+      if (i === chunks.length - 1) {
+        end = cue.end;
+      } else if (words && words.length > 0 && cue.words[wordIndex]) {
+        end = cue.words[wordIndex].start;
+      } else {
+        end = position + ((cue.end - cue.start) * chunk.join('').replace(/\s+/g, '').length) / totalChars;
+      }
+
+      result.push({
+        ...cue,
+        start: roundTime(position),
+        end: roundTime(end),
+        text: chunk.join('\n'),
+        ...(words ? { words } : {})
+      });
+      position = end;
+    });
+  });
+
+  return result;
+};
+
+// Merge a preset with caller overrides, rejecting values that could break the filter string
+const resolveStyle = (presetName = config.subtitles.style, overrides = {}) => {
+  const preset = STYLE_PRESETS[presetName];
+  if (!preset) {
+    throw new Error(`Unknown subtitle style "${presetName}". Available: ${Object.keys(STYLE_PRESETS).join(', ')}`);
+  }
+
+  const style = { ...preset };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    if (key === 'karaoke') {
+      style.karaoke = !!value;
+      return;
+    }
+    if (!STYLE_FIELDS[key]) {
+      throw new Error(`Unknown subtitle style option "${key}"`);
+    }
+    if (key.endsWith('Colour')) {
+      if (!COLOUR_PATTERN.test(value)) {
+        throw new Error(`${key} must be an ASS colour like &H00FFFFFF`);
+      }
+    } else if (key === 'fontName') {
+      if (!FONT_PATTERN.test(value)) {
+        throw new Error('fontName contains unsupported characters');
+      }
+    } else if (key === 'bold' || key === 'italic') {
+      value = !!value;
+    } else if (!Number.isFinite(Number(value))) {
+      throw new Error(`${key} must be a number`);
+    } else if (key === 'fontSize' && !(Number(value) > 0 && Number(value) <= config.subtitles.maxFontSize)) {
+      throw new Error(`fontSize must be above 0 and at most ${config.subtitles.maxFontSize}`);
+    } else {
+      value = Number(value);
+    }
+    style[key] = value;
+  });
+
+  return style;
+};
+
+const styleValue = (key, value) => {
+  if (key === 'bold' || key === 'italic') {
+    return value ? -1 : 0;
+  }
+  return value;
+};
+
+// Style as a force_style string for the subtitles filter
+const buildForceStyle = (style) => {
+  return Object.keys(STYLE_FIELDS)
+    .filter(key => style[key] !== undefined)
+    .map(key => `${STYLE_FIELDS[key]}=${styleValue(key, style[key])}`)
+    .join(',');
+};
+
+const formatAssTime = (seconds) => {
+  const totalCs = Math.round(seconds * 100);
+  const hours = Math.floor(totalCs / 360000);
+  const minutes = Math.floor((totalCs % 360000) / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+  const cs = totalCs % 100;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+};
+
+// "hh:mm:ss,mmm" for SRT, "hh:mm:ss.mmm" for WebVTT
+const formatTimestamp = (seconds, separator = ',') => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+};
+
+// Cues of { start, end, text } as SRT text
+const cuesToSrt = (cues) => {
+  return cues.map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}\n`).join('\n');
+};
+
+// Cues of { start, end, text } as WebVTT text
+const cuesToVtt = (cues) => {
+  return ['WEBVTT', '', ...cues.map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)].join('\n');
+};
+
+// Real word timings (from a transcript) as \k tags, from each word's start to the next one's
+const timedKaraokeText = (cue) => {
+  return cue.words.map((word, i) => {
+    const next = i === cue.words.length - 1 ? cue.end : cue.words[i + 1].start;
+    return `{\\k${Math.max(1, Math.round((next - word.start) * 100))}}${word.word.trim()}`;
+  }).join(' ');
+};
+
+// Spread a cue's duration over its words, weighted by word length, as \k tags
+// Cues that carry word timings from a transcript use those instead
+const karaokeText = (cue) => {
+  if (Array.isArray(cue.words) && cue.words.length > 0) {
+    return timedKaraokeText(cue);
+  }
+  const words = cue.text.replace(/<[^>]+>/g, '').split(/\s+/).filter(Boolean);
+  const totalCs = Math.max(words.length, Math.round((cue.end - cue.start) * 100));
+  const totalChars = words.reduce((sum, word) => sum + word.length, 0);
+
+  let used = 0;
+  return words.map((word, i) => {
+    const duration = i === words.length - 1
+      ? totalCs - used
+      : Math.max(1, Math.round(totalCs * word.length / totalChars));
+    used += duration;
+    return `{\\k${duration}}${word}`;
+  }).join(' ');
+};
+
+// Convert SRT/VTT cues into a complete ASS script using the given style
+const cuesToAss = (cues, style) => {
+  const fullStyle = { secondaryColour: '&H00FFFFFF', italic: false, ...STYLE_PRESETS.default, ...style };
+  const fields = ['Name', ...Object.values(STYLE_FIELDS)];
+  const values = ['Default', ...Object.keys(STYLE_FIELDS).map(key => styleValue(key, fullStyle[key]))];
+
+  const dialogue = cues.map((cue) => {
+    const text = style.karaoke
+      ? karaokeText(cue)
+      : cue.text.replace(/<[^>]+>/g, '').replace(/\n/g, '\\N');
+    return `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Default,,0,0,0,,${text}`;
+  });
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    'PlayResX: 384',
+    'PlayResY: 288',
+    'WrapStyle: 0',
+    '',
+    '[V4+ Styles]',
+    `Format: ${fields.join(', ')}`,
+    `Style: ${values.join(',')}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...dialogue,
+    ''
+  ].join('\n');
+};
+
+// Escape a path for use inside a filter argument
+const escapeFilterPath = (filePath) => {
+  return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+};
+
+module.exports = {
+  STYLE_PRESETS,
+  detectFormat,
+  parseTimestamp,
+  parseCues,
+  formatTimestamp,
+  cuesToSrt,
+  cuesToVtt,
+  checkSubtitles,
+  shiftCues,
+  scaleCues,
+  remapCues,
+  resplitCues,
+  resolveStyle,
+  buildForceStyle,
+  cuesToAss,
+  escapeFilterPath
+};
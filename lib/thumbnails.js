@@ -0,0 +1,171 @@
+// Width frames are scaled to before they are scored, so sharpness is comparable across sources
+const ANALYSIS_WIDTH = 320;
+
+// How much each measure counts towards a frame's score (they add up to 1)
+const SCORE_WEIGHTS = { sharpness: 0.5, brightness: 0.3, contrast: 0.2 };
+
+// Edge density (mean of the edgedetect output) at which a frame counts as fully sharp
+const SHARP_EDGE_LEVEL = 20;
+
+// Frames picked by a scene change, plus one at least every `interval` seconds so static videos still get candidates
+const buildSelectExpression = (sceneThreshold, interval) => {
+  return `select='gt(scene\\,${sceneThreshold})+isnan(prev_selected_t)+gte(t-prev_selected_t\\,${interval})'`;
+};
+
+// Analysis filter chain: brightness stats go to one metadata file, edge stats to the other
+const buildAnalysisFilter = ({ sceneThreshold, interval, statsFile, edgesFile }) => [
+  buildSelectExpression(sceneThreshold, interval),
+  `scale=${ANALYSIS_WIDTH}:-2`,
+  'signalstats',
+  `metadata=mode=print:file=${statsFile}`,
+  'edgedetect=low=0.1:high=0.4',
+  'format=yuv420p',
+  'signalstats',
+  `metadata=mode=print:file=${edgesFile}`
+].join(',');
+
+// Parse the output of the metadata filter into [{ time, values: { key: number } }]
+const parseMetadataOutput = (text) => {
+  const frames = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    const frameMatch = line.match(/^frame:\d+\s+pts:\S+\s+pts_time:([\d.]+)/);
+    if (frameMatch) {
+      current = { time: Number(frameMatch[1]), values: {} };
+      frames.push(current);
+      return;
+    }
+    const valueMatch = line.match(/^lavfi\.([\w.]+)=([-\d.]+)/);
+    if (current && valueMatch) {
+      current.values[valueMatch[1]] = Number(valueMatch[2]);
+    }
+  });
+
+  return frames;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Score each analysed frame from its brightness/contrast stats and its edge density
+const scoreFrames = (statsFrames, edgeFrames) => {
+  const edgesByTime = new Map(edgeFrames.map(frame => [frame.time.toFixed(3), frame.values]));
+
+  return statsFrames.map(({ time, values }) => {
+    const edges = edgesByTime.get(time.toFixed(3)) || {};
+    const average = values['signalstats.YAVG'] || 0;
+    const sharpness = Math.min(1, (edges['signalstats.YAVG'] || 0) / SHARP_EDGE_LEVEL);
+    // Mid-grey is best; black frames and blown-out frames score 0
+    const brightness = Math.max(0, 1 - Math.abs(average - 128) / 128);
+    const contrast = Math.min(1, ((values['signalstats.YHIGH'] || 0) - (values['signalstats.YLOW'] || 0)) / 200);
+
+    return {
+      time: round(time),
+      score: round(
+        SCORE_WEIGHTS.sharpness * sharpness +
+        SCORE_WEIGHTS.brightness * brightness +
+        SCORE_WEIGHTS.contrast * contrast
+      ),
+      sharpness: round(sharpness),
+      brightness: round(brightness),
+      contrast: round(contrast),
+      sceneScore: values.scene_score !== undefined ? round(values.scene_score) : null
+    };
+  });
+};
+
+// Best `count` frames by score, at least `minGap` seconds apart so they are not near-duplicates
+const pickCandidates = (scoredFrames, count, minGap) => {
+  const picked = [];
+  [...scoredFrames]
+    .sort((a, b) => b.score - a.score)
+    .forEach((frame) => {
+      if (picked.length >= count) return;
+      if (picked.every(other => Math.abs(other.time - frame.time) >= minGap)) {
+        picked.push(frame);
+      }
+    });
+  return picked;
+};
+
+// Columns and rows of a roughly square grid for `count` images
+const gridLayout = (count) => {
+  const columns = Math.ceil(Math.sqrt(count));
+  return { columns, rows: Math.ceil(count / columns) };
+};
+
+// Where a title sits on the frame, as drawtext x/y expressions
+const TITLE_POSITIONS = {
+  top: { x: '(w-text_w)/2', y: 'h*0.08' },
+  center: { x: '(w-text_w)/2', y: '(h-text_h)/2' },
+  bottom: { x: '(w-text_w)/2', y: 'h*0.92-text_h' }
+};
+
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|[a-zA-Z]+)(@[\d.]+)?$/;
+const FONT_PATTERN = /^[\w .-]+$/;
+
+// Check a title style: { fontSize, fontColor, boxColor, position, font }
+const resolveTitleStyle = (style = {}) => {
+  if (typeof style !== 'object' || style === null || Array.isArray(style)) {
+    throw new Error('titleStyle must be an object');
+  }
+  const {
+    fontSize = 0.08,
+    fontColor = 'white',
+    boxColor = 'black@0.5',
+    position = 'bottom',
+    font = null
+  } = style;
+
+  if (!TITLE_POSITIONS[position]) {
+    throw new Error(`titleStyle.position must be one of: ${Object.keys(TITLE_POSITIONS).join(', ')}`);
+  }
+  // Below 1 the size is a fraction of the frame height, otherwise pixels
+  if (!(Number(fontSize) > 0) || Number(fontSize) > 400) {
+    throw new Error('titleStyle.fontSize must be a fraction of the frame height (0-1) or pixels up to 400');
+  }
+  [['fontColor', fontColor], ['boxColor', boxColor]].forEach(([key, value]) => {
+    if (value !== null && !COLOR_PATTERN.test(String(value))) {
+      throw new Error(`titleStyle.${key} must be a colour name or #RRGGBB[AA], optionally with @opacity`);
+    }
+  });
+  if (font !== null && !FONT_PATTERN.test(String(font))) {
+    throw new Error('titleStyle.font contains unsupported characters');
+  }
+
+  return { fontSize: Number(fontSize), fontColor, boxColor, position, font };
+};
+
+// drawtext filter reading the title from a file, so the text needs no escaping
+const buildTitleFilter = (textFile, style) => {
+  const { x, y } = TITLE_POSITIONS[style.position];
+  const size = style.fontSize < 1 ? `h*${style.fontSize}` : String(style.fontSize);
+  const options = [
+    `textfile=${textFile}`,
+    'expansion=none',
+    `fontsize=${size}`,
+    `fontcolor=${style.fontColor}`,
+    `x=${x}`,
+    `y=${y}`
+  ];
+  if (style.font) {
+    options.push(`font=${style.font}`);
+  }
+  if (style.boxColor) {
+    options.push('box=1', `boxcolor=${style.boxColor}`, 'boxborderw=20');
+  }
+  return `drawtext=${options.join(':')}`;
+};
+
+module.exports = {
+  ANALYSIS_WIDTH,
+  COLOR_PATTERN,
+  FONT_PATTERN,
+  buildAnalysisFilter,
+  parseMetadataOutput,
+  scoreFrames,
+  pickCandidates,
+  gridLayout,
+  resolveTitleStyle,
+  buildTitleFilter
+};
@@ -0,0 +1,165 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const axios = require('axios');
+const config = require('./config');
+const log = require('./logger');
+
+// Every provider takes the job's 16 kHz mono WAV and resolves with
+// { language, duration, segments: [{ start, end, text, words: [{ word, start, end, probability }] }] }
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// whisper.cpp marks special tokens ([_BEG_], [_TT_123], ...) with brackets
+const isSpecialToken = (text) => /^\[_.*_?\]$/.test(text.trim()) || /^<\|.*\|>$/.test(text.trim());
+
+// Join whisper.cpp tokens into words: a token starting with a space begins a new word
+const tokensToWords = (tokens = []) => {
+  const words = [];
+  tokens.forEach((token) => {
+    if (!token.text || isSpecialToken(token.text) || !token.offsets) return;
+    const start = token.offsets.from / 1000;
+    const end = token.offsets.to / 1000;
+    const last = words[words.length - 1];
+
+    if (!last || /^\s/.test(token.text)) {
+      words.push({ word: token.text.trim(), start, end, probability: token.p ?? null });
+    } else {
+      last.word += token.text;
+      last.end = end;
+      last.probability = last.probability !== null && token.p !== undefined ? Math.min(last.probability, token.p) : null;
+    }
+  });
+  return words.filter(word => word.word);
+};
+
+// Local whisper.cpp binary (WHISPER_CPP_BIN, default whisper-cli) with a ggml model (WHISPER_CPP_MODEL)
+const whisperCpp = {
+  name: 'whisper-cpp',
+
+  checkConfig() {
+    if (!config.transcription.whisperModel) {
+      throw new Error('whisper-cpp needs WHISPER_CPP_MODEL set to a ggml model file');
+    }
+  },
+
+  async transcribe(audioPath, { language = 'auto', prompt = null } = {}) {
+    const outputPrefix = audioPath.replace(/\.[^.]+$/, '') + '_whisper';
+    const args = [
+      '-m', config.transcription.whisperModel,
+      '-f', audioPath,
+      '-l', language,
+      '--output-json-full',
+      '-of', outputPrefix,
+      ...(prompt ? ['--prompt', prompt] : [])
+    ];
+    const binary = config.transcription.whisperBin;
+
+    log.info('Running whisper.cpp', { command: [binary, ...args].join(' ') });
+    await new Promise((resolve, reject) => {
+      execFile(binary, args, { timeout: config.timeouts.whisper, maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`whisper.cpp failed: ${error.message}${stderr ? `\n${stderr.slice(-2000)}` : ''}`));
+          return;
+        }
+        resolve();
+      });
+    });
+
+    const jsonPath = `${outputPrefix}.json`;
+    let output;
+    try {
+      output = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+    } finally {
+      await fs.unlink(jsonPath).catch(() => {});
+    }
+
+    const segments = (output.transcription || []).map(segment => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text.trim(),
+      words: tokensToWords(segment.tokens)
+    })).filter(segment => segment.text);
+
+    return {
+      language: (output.result && output.result.language) || (language !== 'auto' ? language : null),
+      duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+      segments
+    };
+  }
+};
+
+// Any OpenAI-compatible /audio/transcriptions endpoint (TRANSCRIBE_API_URL, TRANSCRIBE_API_KEY, TRANSCRIBE_MODEL)
+const openAiCompatible = {
+  name: 'openai',
+
+  checkConfig() {
+    if (!config.transcription.apiUrl && !config.transcription.apiKey) {
+      throw new Error('openai needs TRANSCRIBE_API_KEY (and TRANSCRIBE_API_URL for other OpenAI-compatible servers)');
+    }
+  },
+
+  async transcribe(audioPath, { language = 'auto', prompt = null } = {}) {
+    const baseUrl = (config.transcription.apiUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const form = new FormData();
+    form.append('file', new Blob([await fs.readFile(audioPath)], { type: 'audio/wav' }), path.basename(audioPath));
+    form.append('model', config.transcription.model || 'whisper-1');
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'word');
+    form.append('timestamp_granularities[]', 'segment');
+    if (language && language !== 'auto') form.append('language', language);
+    if (prompt) form.append('prompt', prompt);
+
+    const response = await axios.post(`${baseUrl}/audio/transcriptions`, form, {
+      headers: config.transcription.apiKey ? { Authorization: `Bearer ${config.transcription.apiKey}` } : {},
+      timeout: config.timeouts.transcriptionApi,
+      maxBodyLength: Infinity
+    });
+    const data = response.data || {};
+
+    // Words come as one list for the whole file; hand each segment the words inside it
+    const words = (data.words || []).map(word => ({
+      word: String(word.word).trim(),
+      start: Number(word.start),
+      end: Number(word.end),
+      probability: word.probability ?? null
+    }));
+    const segments = (data.segments || []).map(segment => ({
+      start: Number(segment.start),
+      end: Number(segment.end),
+      text: String(segment.text).trim(),
+      words: words.filter(word => word.start >= segment.start && word.start < segment.end)
+    })).filter(segment => segment.text);
+
+    return {
+      language: data.language || (language !== 'auto' ? language : null),
+      duration: Number(data.duration) || (segments.length > 0 ? segments[segments.length - 1].end : 0),
+      segments
+    };
+  }
+};
+
+const PROVIDERS = {
+  [whisperCpp.name]: whisperCpp,
+  [openAiCompatible.name]: openAiCompatible
+};
+
+// The configured provider, else whisper.cpp when a model is configured, else the HTTP API
+const defaultProvider = () => {
+  return config.transcription.provider || (config.transcription.whisperModel ? whisperCpp.name : openAiCompatible.name);
+};
+
+// Segments as subtitle cues, with times rounded to the millisecond
+const segmentsToCues = (segments) => segments.map(segment => ({
+  start: round(segment.start),
+  end: round(segment.end),
+  text: segment.text,
+  words: segment.words.map(word => ({ ...word, start: round(word.start), end: round(word.end) }))
+}));
+
+module.exports = {
+  PROVIDERS,
+  defaultProvider,
+  tokensToWords,
+  segmentsToCues
+};
@@ -0,0 +1,25 @@
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Bytes from a number or a size like "50MB" / "1.5GB" (binary units, as upload limits usually are)
+const parseSize = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?b?)$/i);
+  return match ? Math.round(Number(match[1]) * SIZE_UNITS[match[2].toLowerCase() || 'b']) : NaN;
+};
+
+// Milliseconds from a number (already ms) or a duration like "90s", "10m", "1.5h"
+const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  return match ? Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 'ms').toLowerCase()]) : NaN;
+};
+
+module.exports = {
+  parseSize,
+  parseDuration
+};
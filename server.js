@@ -1,902 +1,567 @@
 const express = require('express');
 const multer = require('multer');
-const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
-const { exec } = require('child_process');
-const os = require('os');
-const { spawn } = require('child_process');
+const jobs = require('./lib/jobs');
+const runner = require('./lib/runner');
+const steps = require('./lib/steps');
+const storage = require('./lib/storage');
+const pool = require('./lib/ffmpeg-pool');
+const auth = require('./lib/auth');
+const config = require('./lib/config');
+const log = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const health = require('./lib/health');
+const { UPLOAD_FIELDS, withUploads, checkSource, resolveInput } = require('./lib/sources');
+const { probeMedia, findMediaProblems } = require('./lib/probe');
+const { parsePipeline } = require('./lib/pipeline');
 
 const app = express();
-const PORT = 3001;
+const PORT = config.server.port;
+const TEMP_DIR = config.paths.temp;
 
-// Global variables to store file paths
-let currentVideoPath = null;
-let processedVideoPath = null;
-let finalVideoPath = null;
+// Where clients outside this host reach the server; links handed out (audioUrl) are built on it
+const PUBLIC_BASE_URL = config.server.publicBaseUrl || `http://localhost:${PORT}`;
+
+// Shared values steps need that do not come from the request
+const stepContext = { publicBaseUrl: PUBLIC_BASE_URL };
 
 // Serve static files from the 'public' directory
 app.use(express.static('public'));
 
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Large enough for small base64-encoded images (thumbnails, logos)
+// The raw body is kept for HMAC request signatures
+app.use(express.json({ limit: config.server.jsonBodyLimit, verify: auth.keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: auth.keepRawBody }));
+
+// API key / HMAC authentication with per-key rate limits; file links work with a URL signature instead
+app.use(auth.authenticate);
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, 'temp/');
+    cb(null, TEMP_DIR);
   },
   filename: (req, file, cb) => {
     cb(null, `${uuidv4()}_${file.originalname}`);
   }
 });
 
-const upload = multer({ storage });
+const upload = multer({ storage: uploadStorage });
+
+// Any processing route can take media as multipart file fields
+const uploadFields = upload.fields(UPLOAD_FIELDS.map(name => ({ name, maxCount: 1 })));
 
 // Ensure temp directory exists
 const ensureTempDir = async () => {
   try {
-    await fs.access('temp');
+    await fs.access(TEMP_DIR);
   } catch {
-    await fs.mkdir('temp', { recursive: true });
+    await fs.mkdir(TEMP_DIR, { recursive: true });
   }
 };
 
-// Endpoint to merge thumbnail with video
-app.post('/merge-thumbnail-video', async (req, res) => {
-  const { thumbnailID, thumbnailDuration = 0.3 } = req.body;
+// Look up the job referenced by a request, replying with 400/404 when it is missing
+const findRequestJob = (req, res) => {
+  const jobId = (req.body && req.body.jobId) || req.query.jobId || req.params.jobId;
 
-  let videoPath = finalVideoPath;
-  let thumbnailPath = null;
-  let downloadedthumbnailPath = null;
-  
-  if (thumbnailID) {
-    // Download thumbnail from URL
-    console.log('Downloading Thumbnail from google drive ID:', thumbnailID);
-    downloadedthumbnailPath = path.join('temp', `thumbnail_${uuidv4()}.png`);
-    try {
-      await downloadMusicFile(`https://drive.google.com/uc?export=download&id=${thumbnailID}`, downloadedthumbnailPath);
-      thumbnailPath = downloadedthumbnailPath;
-      console.log('Thumbnail downloaded to:', thumbnailPath);
-      console.log('VideoPath is:', videoPath);
-    } catch (downloadError) {
-      console.warn('Failed to download thumbnail:', downloadError.message);
-      return res.status(500).json({ 
-        error: 'Failed to download thumbnail: ' + downloadError.message 
-      });
-    }
+  if (!jobId) {
+    res.status(400).json({ error: 'jobId is required' });
+    return null;
   }
-  
-  if (!videoPath || !thumbnailPath) {
-    return res.status(400).json({ 
-      error: 'videoPath and thumbnailPath are required' 
-    });
-  }
-  
-  // Validate input files exist
-  if (!fsSync.existsSync(videoPath)) {
-    return res.status(404).json({ 
-      error: `Video file not found: ${videoPath}` 
-    });
+
+  const job = jobs.getJob(jobId);
+  if (!job) {
+    res.status(404).json({ error: `Job not found: ${jobId}` });
+    return null;
   }
-  
-  if (!fsSync.existsSync(thumbnailPath)) {
-    return res.status(404).json({ 
-      error: `Thumbnail file not found: ${thumbnailPath}` 
-    });
+
+  jobs.touch(job);
+  return job;
+};
+
+// Run a step for a job, inline or in the background when async/callbackUrl is given
+const handleStep = async (req, res, job, step, params) => {
+  const { async: runAsync = false, callbackUrl } = params;
+
+  if (job.status === 'running') {
+    return res.status(409).json({ error: `Job ${job.id} is already running step ${job.step}` });
   }
-  
+
   try {
-    // Generate output path
-    const timestamp = Date.now();
-    const outputPath = path.join('temp', `final_video_${timestamp}.mp4`);
-    
-    // Get video info first to match dimensions and frame rate
-    const videoInfo = await getVideoInfo(videoPath);
-    const { width = 270, height = 480, fps = 30 } = videoInfo;
-    
-    console.log(`Video info - Width: ${width}, Height: ${height}, FPS: ${fps}`);
-    
-    // Simplified FFmpeg command that's more reliable
-    const ffmpegCommand = [
-      'ffmpeg',
-      '-loop', '1',
-      '-t', thumbnailDuration.toString(),
-      '-i', thumbnailPath,
-      '-i', videoPath,
-      '-filter_complex',
-      `[0:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1:1,fps=${fps},format=yuv420p[thumb];[1:v]setsar=1:1[video];[thumb][video]concat=n=2:v=1:a=0[outv];[1:a]apad=pad_dur=${thumbnailDuration}[outa]`,
-      '-map', '[outv]',
-      '-map', '[outa]',
-      '-c:v', 'libx264',
-      '-c:a', 'aac',
-      '-pix_fmt', 'yuv420p',
-      '-preset', 'fast',
-      '-y',
-      outputPath
-    ];
-    
-    console.log('Executing FFmpeg command:', ffmpegCommand.join(' '));
-    
-    // Execute FFmpeg command with timeout
-    await new Promise((resolve, reject) => {
-      const ffmpegProcess = spawn('ffmpeg', ffmpegCommand.slice(1), {
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-      
-      // Set timeout to prevent hanging (60 seconds)
-      const timeout = setTimeout(() => {
-        ffmpegProcess.kill('SIGKILL');
-        reject(new Error('FFmpeg process timed out after 60 seconds'));
-      }, 60000);
-      
-      let stderr = '';
-      
-      ffmpegProcess.stdout.on('data', (data) => {
-        console.log(`FFmpeg stdout: ${data}`);
-      });
-      
-      ffmpegProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-        console.log(`FFmpeg stderr: ${data}`);
-      });
-      
-      ffmpegProcess.on('close', (code) => {
-        clearTimeout(timeout);
-        if (code === 0) {
-          console.log('FFmpeg process completed successfully');
-          resolve();
-        } else {
-          console.error(`FFmpeg process exited with code ${code}`);
-          console.error('FFmpeg stderr:', stderr);
-          reject(new Error(`FFmpeg failed with exit code ${code}: ${stderr}`));
-        }
-      });
-      
-      ffmpegProcess.on('error', (error) => {
-        clearTimeout(timeout);
-        console.error('FFmpeg process error:', error);
-        reject(new Error(`FFmpeg process error: ${error.message}`));
-      });
-    });
-    
-    // Check if output file was created
-    if (!fsSync.existsSync(outputPath)) {
-      throw new Error('Video processing failed - output file not created');
-    }
-    
-    // Get file stats
-    const stats = await fs.stat(outputPath);
-    
-    // Store the processed video info
-    const videoId = `video_${timestamp}`;
-    finalVideoPath = outputPath;
-    
-    // Clean up downloaded thumbnail
-    if (downloadedthumbnailPath && fsSync.existsSync(downloadedthumbnailPath)) {
-      try {
-        await fs.unlink(downloadedthumbnailPath);
-        console.log('Cleaned up downloaded thumbnail');
-      } catch (cleanupError) {
-        console.warn('Failed to cleanup thumbnail:', cleanupError.message);
-      }
-    }
-    
-    res.json({
+    job.priority = pool.normalizePriority(params.priority);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  if (runAsync === true || runAsync === 'true' || callbackUrl) {
+    runner.startStep(job, step, params, stepContext, callbackUrl);
+    return res.status(202).json({
       success: true,
-      videoId: videoId,
-      finalVideoPath: outputPath,
-      originalVideoPath: videoPath,
-      thumbnailPath: thumbnailPath,
-      thumbnailDuration: thumbnailDuration,
-      outputFileSize: stats.size,
-      processedAt: new Date().toISOString(),
-      message: `Video processed successfully with ${thumbnailDuration}s thumbnail intro`,
-      downloadUrl: `/get-final-video/${videoId}`
+      jobId: job.id,
+      status: job.status,
+      step: step.name,
+      statusUrl: `/jobs/${job.id}`
     });
-    
+  }
+
+  try {
+    res.json(await runner.runStep(job, step, params, stepContext));
   } catch (error) {
-    console.error('Video processing error:', error);
-    
-    // Clean up files on error
-    const timestamp = Date.now();
-    const outputPath = path.join('temp', `final_video_${timestamp}.mp4`);
-    if (fsSync.existsSync(outputPath)) {
-      try {
-        await fs.unlink(outputPath);
-      } catch (unlinkError) {
-        console.warn('Failed to cleanup failed output file:', unlinkError.message);
-      }
-    }
-    
-    if (downloadedthumbnailPath && fsSync.existsSync(downloadedthumbnailPath)) {
-      try {
-        await fs.unlink(downloadedthumbnailPath);
-      } catch (unlinkError) {
-        console.warn('Failed to cleanup downloaded thumbnail:', unlinkError.message);
-      }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      originalVideoPath: videoPath,
-      thumbnailPath: thumbnailPath,
-      failedAt: new Date().toISOString()
-    });
+    res.status(500).json({ error: step.failureMessage, details: error.message });
   }
-});
+};
 
-// Helper function to get video information
-const getVideoInfo = (videoPath) => {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(videoPath, (err, metadata) => {
-      if (err) {
-        console.warn('Could not get video info, using defaults:', err.message);
-        resolve({ width: 1080, height: 1920, fps: 30 });
-        return;
-      }
-      
-      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-      if (videoStream) {
-        const fps = videoStream.r_frame_rate ? eval(videoStream.r_frame_rate) : 30;
-        resolve({
-          width: videoStream.width || 270,
-          height: videoStream.height || 480,
-          fps: Math.round(fps) || 30
-        });
-      } else {
-        resolve({ width: 270, height: 480, fps: 30 });
-      }
-    });
-  });
+// Validate a step's request up front so bad input fails before any work is queued
+const validateStep = (res, job, step, params) => {
+  try {
+    step.validate(job, params);
+    return true;
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+    return false;
+  }
 };
 
-// Utility function to download music file from URL
-const downloadMusicFile = async (url, filepath) => {
-  const response = await axios({
-    method: 'GET',
-    url: url,
-    responseType: 'stream'
+// Deep health check: ffmpeg/ffprobe present, temp/ writable, enough free disk; 503 when any fails
+app.get('/health', async (req, res) => {
+  const { ok, failed, checks } = await health.runChecks();
+  const { maxConcurrent, running, queued } = pool.getStatus();
+  if (!ok) {
+    log.warn('Health check failed', { failed });
+  }
+  res.status(ok ? 200 : 503).json({
+    status: ok ? 'OK' : 'FAIL',
+    message: ok ? 'Video processing server is running' : `Video processing server is unhealthy: ${failed.join(', ')}`,
+    checks,
+    ffmpeg: { maxConcurrent, running: running.length, queued: queued.length }
   });
+});
 
-  const writer = fsSync.createWriteStream(filepath);
-  response.data.pipe(writer);
+// Prometheus metrics: steps by outcome and duration, downloads, ffmpeg queue, temp storage
+app.get('/metrics', async (req, res) => {
+  try {
+    res.type(metrics.CONTENT_TYPE).send(await metrics.render());
+  } catch (error) {
+    log.error('Failed to render metrics', { error });
+    res.status(500).json({ error: 'Failed to render metrics', details: error.message });
+  }
+});
 
-  return new Promise((resolve, reject) => {
-    writer.on('finish', resolve);
-    writer.on('error', reject);
-  });
-};
+// Extract audio from video
+app.post('/extract-audio', uploadFields, async (req, res) => {
+  const step = steps['extract-audio'];
 
-// Enhanced utility function to download Google Drive files (handles both small and large files)
-const downloadFile = async (filepath, googleDriveFileID) => {
   try {
-    return await downloadGoogleDriveFile(googleDriveFileID, filepath);
+    const params = withUploads(req);
+    if (!validateStep(res, null, step, params)) return;
+
+    await ensureTempDir();
+    
+    // Every extraction starts a new job that owns all later artifacts
+    const job = jobs.createJob();
+    await handleStep(req, res, job, step, params);
   } catch (error) {
-    console.error('Google Drive download failed:', error.message);
-    throw error;
+    log.error('Error extracting audio', { error });
+    res.status(500).json({ error: step.failureMessage, details: error.message });
   }
-};
+});
 
-// Specialized function for Google Drive downloads
-const downloadGoogleDriveFile = async (fileId, filepath) => {
-  const downloadMethods = [
-    // Method 1: Standard download URL
-    () => attemptDownload(`https://drive.google.com/uc?export=download&id=${fileId}`, filepath),
-    
-    // Method 2: Bypass virus scan for large files
-    () => attemptDownload(`https://drive.google.com/uc?export=download&id=${fileId}&confirm=t`, filepath),
-    
-    // Method 3: Handle virus scan page by parsing HTML
-    () => handleVirusScanPage(fileId, filepath)
-  ];
+// Serve a file a job owns in temp/ by name (audioUrl links point here)
+const sendTempFile = (res, filename, label) => {
+  const filePath = path.join(TEMP_DIR, path.basename(filename));
   
-  for (let i = 0; i < downloadMethods.length; i++) {
-    try {
-      console.log(`Trying Google Drive download method ${i + 1}...`);
-      await downloadMethods[i]();
-      console.log('Download completed successfully');
-      return;
-    } catch (error) {
-      console.log(`Method ${i + 1} failed:`, error.message);
-      if (i === downloadMethods.length - 1) {
-        throw new Error('All Google Drive download methods failed');
-      }
-    }
+  if (jobs.isJobFile(filename) && fsSync.existsSync(filePath)) {
+    res.sendFile(path.resolve(filePath));
+  } else {
+    res.status(404).json({ error: `${label} file not found` });
   }
 };
 
-// Compress video using ffmpeg and output to final file path
-const compressVideo = (inputPath, outputPath, options = {}) => {
-  return new Promise((resolve, reject) => {
-    const {
-      crf = 23,
-      preset = 'medium',
-      maxrate = '3M',
-      bufsize = '6M',
-      audioBitrate = '96k',
-      maxWidth = 1280,
-      maxHeight = 720,
-      timeout = 600000  // 10 minutes default timeout
-    } = options;
-
-    const cmd = `ffmpeg -i "${inputPath}" -c:v libx264 -crf ${crf} -preset ${preset} -tune film -maxrate ${maxrate} -bufsize ${bufsize} -vf "scale='if(gte(iw,ih),min(${maxWidth},iw),-2)':'if(lt(iw,ih),min(${maxHeight},ih),-2)'" -c:a aac -b:a ${audioBitrate} -ac 2 -movflags +faststart -y "${outputPath}"`;
-    
-    console.log('Starting video compression...');
-    console.log('Command:', cmd);
-    
-    exec(cmd, {
-      timeout: timeout,
-      maxBuffer: 1024 * 1024 * 10, // 10MB buffer
-      killSignal: 'SIGKILL'
-    }, (error, stdout, stderr) => {
-      if (error) {
-        if (error.killed && error.signal === 'SIGKILL') {
-          reject(new Error(`Video compression timed out after ${timeout}ms`));
-        } else {
-          reject(new Error(`FFmpeg compression failed: ${stderr || error.message}`));
-        }
-      } else {
-        console.log('Video compression completed successfully');
-        resolve({
-          success: true,
-          outputPath: outputPath,
-          stdout: stdout,
-          stderr: stderr
-        });
-      }
-    });
-  });
-};
-
-module.exports = { compressVideo };
-
-// Helper function to attempt download with compression
-const attemptDownload = async (downloadUrl, finalFilePath) => {
-  const tempFilePath = path.join(os.tmpdir(), `temp_${Date.now()}.mp4`);
-  const response = await axios({
-    method: 'GET',
-    url: downloadUrl,
-    responseType: 'stream',
-    maxRedirects: 5,
-    timeout: 90000
-  });
-
-  const contentType = response.headers['content-type'];
-  if (contentType && contentType.includes('text/html')) {
-    throw new Error('Received HTML page instead of video (likely virus scan)');
-  }
-
-  const writer = fsSync.createWriteStream(tempFilePath);
-  response.data.pipe(writer);
-
-  return new Promise((resolve, reject) => {
-    writer.on('finish', async () => {
-      const stats = fsSync.statSync(tempFilePath);
-      if (stats.size === 0) {
-        fsSync.unlinkSync(tempFilePath);
-        reject(new Error('Downloaded file is empty'));
-      } else {
-        try {
-          console.log(`Downloaded to temp file: ${tempFilePath}`);
-          console.log(`Compressing video...`);
+// Serve temporary audio files
+app.get('/temp-audio/:filename', (req, res) => {
+  sendTempFile(res, req.params.filename, 'Audio');
+});
 
-          await compressVideo(tempFilePath, finalFilePath);
+// Serve temporary video files
+app.get('/temp-video/:filename', (req, res) => {
+  sendTempFile(res, req.params.filename, 'Video');
+});
 
-          console.log(`Compression complete. Saved to: ${finalFilePath}`);
+// Detect silence, transcribe, retime subtitles, process video to remove segments, add background music and subtitles, pick thumbnails, add overlays, merge a thumbnail intro, compress for delivery, publish outputs
+['detect-silence', 'transcribe', 'subtitles', 'process-video', 'add-music-subtitles', 'thumbnails', 'overlay', 'merge-thumbnail-video', 'compress', 'package-hls', 'publish'].forEach((name) => {
+  const step = steps[name];
 
-          fsSync.unlinkSync(tempFilePath); // Cleanup temp
+  app.post(`/${name}`, uploadFields, async (req, res) => {
+    const job = findRequestJob(req, res);
+    if (!job) return;
 
-          resolve();
-        } catch (compressionError) {
-          fsSync.unlinkSync(tempFilePath);
-          reject(compressionError);
-        }
-      }
-    });
+    const params = withUploads(req);
+    if (!validateStep(res, job, step, params)) return;
 
-    writer.on('error', (err) => {
-      if (fsSync.existsSync(tempFilePath)) fsSync.unlinkSync(tempFilePath);
-      reject(err);
-    });
+    await handleStep(req, res, job, step, params);
   });
-};
-
+});
 
-// Handle virus scan page by parsing HTML to get actual download link
-const handleVirusScanPage = async (fileId, filepath) => {
-  console.log('Handling virus scan page...');
+// Send an artifact file; send handles Range, ETag/Last-Modified and HEAD for us
+// ?disposition=inline lets browsers play it in place instead of downloading
+const sendArtifact = (req, res, job, artifact) => {
+  const filename = jobs.artifactFileName(job, artifact);
+  const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
   
-  // First, get the virus scan page
-  const virusScanUrl = `https://drive.google.com/uc?export=download&id=${fileId}`;
-  const htmlResponse = await axios({
-    method: 'GET',
-    url: virusScanUrl
+  res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+  res.sendFile(path.resolve(artifact.path), { acceptRanges: true, etag: true, lastModified: true }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status || 500).json({ error: 'Failed to send file', details: error.message });
+    }
   });
-  
-  const htmlContent = htmlResponse.data;
-  
-  // Parse the form action and hidden inputs from the HTML
-  const formActionMatch = htmlContent.match(/action="([^"]+)"/);
-  const idMatch = htmlContent.match(/name="id" value="([^"]+)"/);
-  const exportMatch = htmlContent.match(/name="export" value="([^"]+)"/);
-  const confirmMatch = htmlContent.match(/name="confirm" value="([^"]+)"/);
-  const uuidMatch = htmlContent.match(/name="uuid" value="([^"]+)"/);
-  
-  if (!formActionMatch || !idMatch || !exportMatch || !confirmMatch) {
-    throw new Error('Could not parse virus scan page HTML');
-  }
-  
-  // Construct the actual download URL
-  const baseUrl = formActionMatch[1];
-  const params = new URLSearchParams();
-  params.append('id', idMatch[1]);
-  params.append('export', exportMatch[1]);
-  params.append('confirm', confirmMatch[1]);
-  
-  if (uuidMatch) {
-    params.append('uuid', uuidMatch[1]);
-  }
-  
-  const actualDownloadUrl = `${baseUrl}?${params.toString()}`;
-  
-  console.log('Constructed download URL from virus scan page');
-  return await attemptDownload(actualDownloadUrl, filepath);
 };
 
-// Helper function to extract file ID from Google Drive URLs
-const extractGoogleDriveFileId = (url) => {
-  const patterns = [
-    /\/file\/d\/([a-zA-Z0-9-_]+)/,  // Standard share link
-    /id=([a-zA-Z0-9-_]+)/,          // Direct download link
-    /\/d\/([a-zA-Z0-9-_]+)/         // Short format
-  ];
+// Probe a media file: a job artifact (jobId, optional artifactId) or any source (source, or an uploaded file)
+// requireVideo/requireAudio/requireImage/maxBytes/maxDuration are checked and reported as problems
+app.post('/probe', uploadFields, async (req, res) => {
+  const params = withUploads(req);
+  const value = params.source || params.video || params.music || params.thumbnail;
+  let filePath;
+  let temporary = false;
   
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) {
-      return match[1];
-    }
-  }
-  
-  return null;
-};
-
-module.exports = {
-  downloadFile,
-  downloadGoogleDriveFile,
-  extractGoogleDriveFileId
-};
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Video processing server is running' });
-});
-
-// Extract audio from video
-app.post('/extract-audio', async (req, res) => {
   try {
-    const { googleDriveFileID } = req.body;
-    
-    if (!googleDriveFileID) {
-      return res.status(400).json({ error: 'Video ID is required' });
+    if (params.jobId) {
+      const job = findRequestJob(req, res);
+      if (!job) return;
+      const artifact = params.artifactId
+        ? jobs.getArtifactById(job, params.artifactId)
+        : jobs.getCurrentVideo(job) || jobs.getArtifact(job, 'input');
+      if (!artifact || !fsSync.existsSync(artifact.path)) {
+        return res.status(404).json({ error: 'Artifact not found' });
+      }
+      filePath = artifact.path;
+    } else {
+      if (!value) {
+        return res.status(400).json({ error: 'jobId or a source (source, video, music, thumbnail) is required' });
+      }
+      try {
+        checkSource(value, 'source');
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      // Not owned by any job, so the orphan sweep gets it should the unlink below fail
+      await ensureTempDir();
+      filePath = await resolveInput({ id: `probe-${uuidv4()}` }, value, { name: 'probe', extension: 'bin' });
+      temporary = true;
     }
-
-    await ensureTempDir();
-    
-    // Download video
-    const videoId = uuidv4();
-    const videoPath = path.join('temp', `${videoId}_input.mp4`);
-    const audioPath = path.join('temp', `${videoId}_audio.wav`);
-    
-    console.log('Downloading video from google drive:', googleDriveFileID);
-    await downloadFile(videoPath, googleDriveFileID);
-    
-    // Store video path for later use
-    currentVideoPath = videoPath;
     
-    // Extract audio
-    console.log('Extracting audio...');
-    await new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .output(audioPath)
-        .audioCodec('pcm_s16le')
-        .audioFrequency(16000)
-        .audioChannels(1)
-        .on('end', resolve)
-        .on('error', reject)
-        .run();
-    });
-    
-    // Upload audio to a temporary hosting service or return local path
-    // For now, we'll assume you have a way to host the audio file
-    const audioUrl = `http://localhost:${PORT}/temp-audio/${path.basename(audioPath)}`;
-    
-    res.json({
-      success: true,
-      audioUrl: audioUrl,
-      audioPath: audioPath,
-      videoPath: videoPath,
-      videoId: `${videoId}_input.mp4`
+    const probe = await probeMedia(filePath);
+    const problems = findMediaProblems(probe, {
+      requireVideo: params.requireVideo === true || params.requireVideo === 'true',
+      requireAudio: params.requireAudio === true || params.requireAudio === 'true',
+      requireImage: params.requireImage === true || params.requireImage === 'true',
+      ...(params.maxBytes ? { maxBytes: Number(params.maxBytes) } : {}),
+      ...(params.maxDuration ? { maxDuration: Number(params.maxDuration) } : {})
     });
     
+    res.json({ success: true, valid: problems.length === 0, problems, ...probe });
   } catch (error) {
-    console.error('Error extracting audio:', error);
-    res.status(500).json({ error: 'Failed to extract audio', details: error.message });
+    log.warn('Error probing media', { error: error.message });
+    res.status(error.status || 422).json({ error: 'Failed to probe media', details: error.message });
+  } finally {
+    if (temporary && filePath) {
+      await fs.unlink(filePath).catch(() => {});
+    }
   }
 });
 
-// Serve temporary audio files
-app.get('/temp-audio/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join('temp', filename);
+// Get final video file
+app.get(['/get-final-video', '/get-final-video/:jobId'], (req, res) => {
+  const job = findRequestJob(req, res);
+  if (!job) return;
   
-  if (fsSync.existsSync(filePath)) {
-    res.sendFile(path.resolve(filePath));
-  } else {
-    res.status(404).json({ error: 'Audio file not found' });
+  const finalVideo = jobs.getCurrentVideo(job);
+  if (!finalVideo || !fsSync.existsSync(finalVideo.path)) {
+    return res.status(404).json({ error: 'Final video not found' });
   }
+  
+  sendArtifact(req, res, job, finalVideo);
 });
 
-// Serve temporary video files
-app.get('/temp-video/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join('temp', filename);
+// Download any artifact of a job by ID
+app.get('/jobs/:jobId/artifacts/:artifactId', (req, res) => {
+  const job = findRequestJob(req, res);
+  if (!job) return;
   
-  if (fsSync.existsSync(filePath)) {
-    res.sendFile(path.resolve(filePath));
-  } else {
-    res.status(404).json({ error: 'Video file not found' });
+  const artifact = jobs.getArtifactById(job, req.params.artifactId);
+  if (!artifact || !fsSync.existsSync(artifact.path)) {
+    return res.status(404).json({ error: 'Artifact not found' });
   }
+  
+  sendArtifact(req, res, job, artifact);
 });
 
-// Process video to remove segments
-app.post('/process-video', async (req, res) => {
+// Serve HLS playlists and segments written by package-hls
+app.get('/jobs/:jobId/hls/:filename', async (req, res) => {
+  const job = findRequestJob(req, res);
+  if (!job) return;
+  
+  const { filename } = req.params;
+  if (!filename.startsWith(`${job.id}_hls_`) || !/^[\w-]+\.(m3u8|ts)$/.test(filename)) {
+    return res.status(404).json({ error: 'HLS file not found' });
+  }
+  
+  const filePath = path.join(TEMP_DIR, filename);
+  if (!fsSync.existsSync(filePath)) {
+    return res.status(404).json({ error: 'HLS file not found' });
+  }
+  
+  if (path.extname(filename) === '.ts') {
+    return res.sendFile(path.resolve(filePath), { acceptRanges: true, etag: true });
+  }
+  
+  // Players fetch segments without credentials, so each segment line gets its own signed link
   try {
-    const { videoPath, filterComplex } = req.body;
-    
-    if (!currentVideoPath) {
-      return res.status(400).json({ error: 'No video file available for processing' });
-    }
-    
-    const outputPath = path.join('temp', `processed_${uuidv4()}.mp4`);
-    processedVideoPath = outputPath;
-    
-    console.log('Processing video with complex filter...');
-    console.log('Filter complex:', filterComplex);
-    console.log('CurrentVideoPath:', currentVideoPath);
-    console.log('ProcessedVideoPath:', processedVideoPath);
-    
-    // If no segments to remove, just copy the file
-    if (!filterComplex) {
-      await fs.copyFile(currentVideoPath, outputPath);
-      res.json({
-        success: true,
-        message: 'No segments to remove, video copied as-is',
-        outputPath: outputPath
-      });
-      return;
-    }
-    
-    
-    // Apply complex filter to process both audio and video together
-    await new Promise((resolve, reject) => {
-      const command = ffmpeg(currentVideoPath);
-      
-      command
-        .complexFilter(filterComplex)
-        .outputOptions([
-          '-map', '[outv]',
-          '-map', '[outa]'
-        ])
-        .output(outputPath)
-        .videoCodec('libx264')
-        .audioCodec('aac')
-        .outputOptions([
-          '-preset veryfast',
-          '-crf 23',
-          '-threads 1',
-          '-avoid_negative_ts make_zero'  // Helps with timing issues
-        ])
-        .on('progress', (progress) => {
-          console.log('Processing progress:', progress.percent + '%');
-        })
-        .on('end', () => {
-          console.log('Video processing completed');
-          finalVideoPath = outputPath;
-          resolve();
-        })
-        .on('error', (error) => {
-          console.error('FFmpeg error:', error);
-          reject(error);
-        })
-        .run();
+    const playlist = await fs.readFile(filePath, 'utf8');
+    const signed = playlist.split('\n').map((line) => {
+      const segment = line.trim();
+      if (!segment || segment.startsWith('#')) return line;
+      return path.basename(auth.signPath(`/jobs/${job.id}/hls/${segment}`));
     });
-    
-    res.json({
-      success: true,
-      message: 'Video processed successfully',
-      outputPath: outputPath,
-      stats: {
-        originalSize: (await fs.stat(currentVideoPath)).size,
-        processedSize: (await fs.stat(outputPath)).size
-      }
-    });
-    
+    res.type('application/vnd.apple.mpegurl').send(signed.join('\n'));
   } catch (error) {
-    console.error('Error processing video:', error);
-    res.status(500).json({ error: 'Failed to process video', details: error.message });
+    res.status(500).json({ error: 'Failed to read HLS playlist', details: error.message });
   }
 });
 
-// Add background music and subtitles
-app.post('/add-music-subtitles', async (req, res) => {
-  try {
-    const { videoPath, subtitleContent, srtSubtitles, googleDriveFileIDForMusic, videoUrl } = req.body;
-    
-    if (!processedVideoPath) {
-      return res.status(400).json({ error: 'No processed video available' });
-    }
-    
-    // Verify input video exists
-    if (!fsSync.existsSync(processedVideoPath)) {
-      return res.status(400).json({ error: 'Input video file does not exist' });
-    }
-    
-    const outputPath = path.join('temp', `final_${uuidv4()}.mp4`);
-    const subtitlePath = path.join('temp', `subtitles_${uuidv4()}.srt`);
-    let downloadedMusicPath = null;
-    let downloadedVideoPath = null;
-    
-    finalVideoPath = outputPath;
-    
-    // Use srtSubtitles if available, otherwise fall back to subtitleContent
-    const subtitleText = srtSubtitles || subtitleContent;
-    
-    if (!subtitleText) {
-      return res.status(400).json({ error: 'No subtitle content provided' });
-    }
-    
-    // Write subtitle content to file
-    await fs.writeFile(subtitlePath, subtitleText, 'utf8');
-    
-    // Handle music file - download if URL, use local path if file path
-    let actualMusicPath = null;
-    if (googleDriveFileIDForMusic) {
-        // Download music from URL
-        console.log('Downloading music from google drive ID:', googleDriveFileIDForMusic);
-        downloadedMusicPath = path.join('temp', `music_${uuidv4()}.mp3`);
-        try {
-          //await downloadFile(downloadedMusicPath, googleDriveFileIDForMusic);
-          await downloadMusicFile(`https://drive.google.com/uc?export=download&id=${googleDriveFileIDForMusic}`, downloadedMusicPath);
-          actualMusicPath = downloadedMusicPath;
-          console.log('Music downloaded to:', actualMusicPath);
-        } catch (downloadError) {
-          console.warn('Failed to download music:', downloadError.message);
-          // Continue without music if download fails
-        }
-       
-    }
+// Get a job and its artifact history
+app.get('/jobs/:jobId', (req, res) => {
+  const job = findRequestJob(req, res);
+  if (!job) return;
+  
+  res.json(jobs.describeJob(job));
+});
 
-    if (videoUrl) {
-        // Download music from URL
-        console.log('Downloading video from creatomate:', videoUrl);
-        downloadedVideoPath = path.join('temp', `video_${uuidv4()}.mp4`);
-        try {
-          //await downloadFile(downloadedMusicPath, googleDriveFileIDForMusic);
-          await downloadMusicFile(videoUrl, downloadedVideoPath);
-          processedVideoPath = downloadedVideoPath;
-          console.log('Music downloaded to:', actualMusicPath);
-        } catch (downloadError) {
-          console.warn('Failed to download music:', downloadError.message);
-          // Continue without music if download fails
-        }
-       
-    }
-    
-    console.log('Adding subtitles...');
-    console.log('Input video:', processedVideoPath);
-    console.log('Output path:', outputPath);
-    console.log('Subtitle path:', subtitlePath);
-    
-    await new Promise((resolve, reject) => {
-      const command = ffmpeg(processedVideoPath);
-      
-      // Add background music if available
-      if (actualMusicPath && fsSync.existsSync(actualMusicPath)) {
-        console.log('Adding background music:', actualMusicPath);
-        command.input(actualMusicPath);
-      }
-      
-      // Add subtitles with proper escaping and positioning within video bounds
-//      const escapedSubtitlePath = subtitlePath.replace(/\\/g, '/').replace(/:/g, '\\:');
-      
-      // Configure audio and video filters
-      const audioFilters = [];
-//      const videoFilters = [`subtitles='${escapedSubtitlePath}':force_style='FontName=Arial,FontSize=12,PrimaryColour=&Hffffff&,BackColour=&H80000000&,Bold=1,Outline=2,OutlineColour=&H000000&,MarginV=40,MarginL=75,MarginR=75,Alignment=2'`];
-      
-      if (actualMusicPath && fsSync.existsSync(actualMusicPath)) {
-        // Mix original audio with background music
-        // Lower original audio volume and add background music at moderate volume
-        audioFilters.push('[0:a]volume=0.8[a0];[1:a]volume=0.2[a1];[a0][a1]amix=inputs=2:duration=first:dropout_transition=0[aout]');
-        command.outputOptions([
-          '-map', '0:v',  // Use video from first input (original video)
-          '-map', '[aout]' // Use mixed audio output
-        ]);
-      }
-      
-      // Apply filters
-      if (audioFilters.length > 0) {
-        command.complexFilter(audioFilters.join(';'));
-      }
-//      command.outputOptions([
-//        '-vf', videoFilters.join(',')
-//      ]);
-      
-      command
-        .output(outputPath)
-        .videoCodec('libx264')
-        .audioCodec('aac')
-        .outputOptions([
-          '-preset veryfast',
-          '-crf 23',
-          '-threads 1',
-          '-avoid_negative_ts make_zero',
-          '-movflags', '+faststart',
-          '-y' // Overwrite output file if exists
-        ])
-        .on('start', (commandLine) => {
-          console.log('FFmpeg command:', commandLine);
-        })
-        .on('progress', (progress) => {
-          if (progress.percent) {
-            console.log('Final processing progress:', Math.round(progress.percent) + '%');
-          }
-        })
-        .on('stderr', (stderrLine) => {
-          console.log('FFmpeg stderr:', stderrLine);
-        })
-        .on('end', () => {
-          console.log('Final video processing completed');
-          // Clean up temporary files
-          fsSync.unlink(subtitlePath, (err) => {
-            if (err) console.warn('Failed to delete temp subtitle file:', err);
-          });
-          if (downloadedMusicPath) {
-            fsSync.unlink(downloadedMusicPath, (err) => {
-              if (err) console.warn('Failed to delete temp music file:', err);
-            });
-          }
-          resolve();
-        })
-        .on('error', (error) => {
-          console.error('FFmpeg error in final processing:', error);
-          console.error('FFmpeg stderr:', error.stderr);
-          // Clean up on error
-          fsSync.unlink(subtitlePath, () => {});
-          if (downloadedMusicPath) {
-            fsSync.unlink(downloadedMusicPath, () => {});
-          }
-          reject(error);
-        })
-        .run();
-    });
-    
-    // Verify output file was created
-    if (!fsSync.existsSync(outputPath)) {
-      throw new Error('Output video file was not created');
-    }
-    
-    const stats = await fs.stat(outputPath);
-    
-    res.json({
-      success: true,
-      message: 'Subtitles added successfully',
-      outputPath: outputPath,
-      videoId: `final_${uuidv4()}.mp4`,
-      finalStats: {
-        fileSize: stats.size,
-        hasMusic: !!(actualMusicPath && fsSync.existsSync(actualMusicPath)), // Check if music was actually added
-        hasSubtitles: true
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error adding subtitles:', error);
-    res.status(500).json({ 
-      error: 'Failed to add subtitles', 
-      details: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+// Cancel a running job: its ffmpeg processes are killed, queued ones dropped and partial output removed
+app.delete('/jobs/:jobId', (req, res) => {
+  const job = findRequestJob(req, res);
+  if (!job) return;
+  
+  if (job.status !== 'running') {
+    return res.status(409).json({ error: `Job ${job.id} is not running (status: ${job.status}); use /cleanup to remove it` });
   }
+  
+  const { killed, dequeued } = pool.cancelJob(job);
+  log.info('Cancel requested', { jobId: job.id, step: job.step, killedProcesses: killed, dequeuedProcesses: dequeued });
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    step: job.step,
+    killedProcesses: killed,
+    dequeuedProcesses: dequeued,
+    statusUrl: `/jobs/${job.id}`
+  });
 });
 
-// Get final video file
-app.get('/get-final-video', (req, res) => {
-  if (!finalVideoPath || !fsSync.existsSync(finalVideoPath)) {
-    return res.status(404).json({ error: 'Final video not found' });
-  }
+// Stream live job events (progress, step transitions, status) as Server-Sent Events
+app.get('/jobs/:jobId/events', (req, res) => {
+  const job = findRequestJob(req, res);
+  if (!job) return;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  // Start with where the job is now, so late subscribers are not left guessing
+  send({
+    type: 'status',
+    jobId: job.id,
+    at: new Date().toISOString(),
+    status: job.status,
+    step: job.step,
+    progress: job.progress,
+    error: job.error
+  });
+  
+  const unsubscribe = jobs.subscribe(job, send);
+  
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
   
-  res.sendFile(path.resolve(finalVideoPath));
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
 // Cleanup temporary files
 app.post('/cleanup', async (req, res) => {
   try {
-    const filesToClean = [currentVideoPath, processedVideoPath, finalVideoPath];
-    
-    for (const filePath of filesToClean) {
-      if (filePath && fsSync.existsSync(filePath)) {
-        await fs.unlink(filePath);
-        console.log('Deleted:', filePath);
-      }
-    }
+    const job = findRequestJob(req, res);
+    if (!job) return;
     
-    // Clean up temp directory of old files (older than 1 hour)
-    const tempDir = 'temp';
-    const files = await fs.readdir(tempDir);
-    const now = Date.now();
-    const oneHour = 60 * 60 * 1000;
-    
-    for (const file of files) {
-      const filePath = path.join(tempDir, file);
-      const stats = await fs.stat(filePath);
-      
-      if (now - stats.mtime.getTime() > oneHour) {
-        await fs.unlink(filePath);
-        console.log('Cleaned up old file:', filePath);
-      }
+    if (job.status === 'running') {
+      return res.status(409).json({ error: `Job ${job.id} is still running step ${job.step}` });
     }
     
-    // Reset global variables
-    currentVideoPath = null;
-    processedVideoPath = null;
-    finalVideoPath = null;
+    res.json(await steps.cleanup.run(job));
     
-    res.json({
+  } catch (error) {
+    log.error('Cleanup failed', { error });
+    res.status(500).json({ error: 'Cleanup failed', details: error.message });
+  }
+});
+
+// Run several steps in order on one job
+app.post('/pipeline', uploadFields, async (req, res) => {
+  const params = withUploads(req);
+  const { async: runAsync = false, callbackUrl } = params;
+  
+  let entries;
+  try {
+    entries = parsePipeline(params.steps, params);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  // A pipeline that starts with extract-audio creates its own job
+  let job;
+  if (entries[0].step.name === 'extract-audio' && !params.jobId) {
+    if (!validateStep(res, null, entries[0].step, entries[0].params)) return;
+    await ensureTempDir();
+    job = jobs.createJob();
+  } else {
+    job = findRequestJob(req, res);
+    if (!job) return;
+    if (!validateStep(res, job, entries[0].step, entries[0].params)) return;
+  }
+  
+  if (job.status === 'running') {
+    return res.status(409).json({ error: `Job ${job.id} is already running step ${job.step}` });
+  }
+  
+  try {
+    job.priority = pool.normalizePriority(params.priority);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  
+  if (runAsync === true || runAsync === 'true' || callbackUrl) {
+    runner.startPipeline(job, entries, stepContext, callbackUrl);
+    return res.status(202).json({
       success: true,
-      message: 'Cleanup completed successfully'
+      jobId: job.id,
+      status: job.status,
+      steps: entries.map(entry => entry.step.name),
+      statusUrl: `/jobs/${job.id}`
     });
-    
+  }
+  
+  try {
+    res.json(await runner.runPipeline(job, entries, stepContext));
   } catch (error) {
-    console.error('Error during cleanup:', error);
-    res.status(500).json({ error: 'Cleanup failed', details: error.message });
+    res.status(error.status || 500).json({ error: error.message, ...error.report });
   }
 });
 
+// Temp storage usage, quota and free disk space; ?reap=true runs the reaper now
+app.get('/storage', async (req, res) => {
+  try {
+    const reaped = req.query.reap === 'true' ? await storage.reap() : undefined;
+    res.json({ ...(await storage.getUsage()), reaped });
+  } catch (error) {
+    log.error('Error reading storage usage', { error });
+    res.status(500).json({ error: 'Failed to read storage usage', details: error.message });
+  }
+});
+
+// Effective configuration with secrets redacted, and where each value came from (default, file or env)
+app.get('/admin/config', auth.requireAdmin, (req, res) => {
+  res.json(config.describe());
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Server error:', error);
+  log.error('Server error', { method: req.method, path: req.path, error });
   res.status(500).json({ error: 'Internal server error', details: error.message });
 });
 
+// Listed once at startup
+const ENDPOINTS = [
+  'POST /extract-audio - Extract audio from video (creates a job; compress: false keeps the original)',
+  'POST /detect-silence - Find silent ranges in the extracted audio',
+  'POST /transcribe - Speech-to-text (whisper.cpp or OpenAI-compatible) into SRT, WebVTT and word timings',
+  'POST /subtitles - Validate, shift/scale, remap through the cut and re-split subtitles for the job',
+  'POST /process-video - Remove segments (cutList keep/remove ranges, keepRanges or useDetectedSilence) with optional transitions',
+  'POST /add-music-subtitles - Add background music and subtitles (and optional overlays)',
+  'POST /thumbnails - Score scene-change frames, return the best as images plus a contact sheet',
+  'POST /overlay - Burn in logos and timed captions/lower-thirds with fades',
+  'POST /merge-thumbnail-video - Add intro/outro cards (thumbnail, image or clip) with transitions and intro music',
+  'POST /compress - Encode the current video with H.264, H.265, VP9 or AV1, by CRF or to a target file size',
+  'POST /package-hls - Package the final video as HLS for preview',
+  'POST /publish - Upload outputs to S3, an HTTP PUT/presigned URL, WebDAV or Google Drive (location, size, checksum; deleteLocal optional)',
+  'POST /probe - Normalized metadata (container, streams, fps, rotation) for an artifact or any source',
+  'GET /get-final-video/:jobId - Download final processed video',
+  'GET /jobs/:jobId/artifacts/:artifactId - Download any job artifact (Range/ETag/HEAD)',
+  'GET /jobs/:jobId/hls/:filename - HLS playlist and segments',
+  'GET /jobs/:jobId - Job status, progress, result and artifact history',
+  'DELETE /jobs/:jobId - Cancel a running job (kills its ffmpeg processes)',
+  'GET /jobs/:jobId/events - Live job progress as Server-Sent Events',
+  'POST /cleanup - Remove a job and its temporary files',
+  'POST /pipeline - Run several steps in order on one job',
+  'GET /storage - Temp storage usage, quota and free disk space',
+  'GET /admin/config - Effective configuration (secrets redacted; ADMIN_API_KEYS limits who may read it)',
+  'GET /metrics - Prometheus metrics',
+  'GET /health - Deep health check (ffmpeg, ffprobe, temp dir, free space)'
+];
+
+const NOTES = [
+  'Processing endpoints accept async: true and/or callbackUrl to run in the background',
+  'ffmpeg runs are queued by priority (0-10)',
+  'Send X-API-Key (or an HMAC signature) on every route except /health; file links in responses are signed and expire',
+  'Media inputs (video, music, thumbnail) accept Drive IDs/links, URLs, s3:// URIs, base64 or multipart uploads',
+  'Downloads are retried and resumed, size-capped and checked to be media; source objects may carry checksum: "sha256:<hex>"',
+  'Settings come from env vars, optionally on top of a JSON/YAML file named by CONFIG_FILE'
+];
+
 // Start server
 app.listen(PORT, async () => {
   await ensureTempDir();
-  console.log(`Video processing server is running on http://localhost:${PORT}`);
-  console.log('Available endpoints:');
-  console.log('  POST /extract-audio - Extract audio from video');
-  console.log('  POST /process-video - Apply filters to remove segments');
-  console.log('  POST /add-music-subtitles - Add background music and subtitles');
-  console.log('  GET /get-final-video - Download final processed video');
-  console.log('  POST /cleanup - Remove temporary files');
-  console.log('  GET /health - Health check');
+  storage.startReaper();
+  log.info('Video processing server is running', {
+    port: PORT,
+    url: `http://localhost:${PORT}`,
+    publicUrl: PUBLIC_BASE_URL,
+    configFile: config.describe().file,
+    ffmpeg: { maxConcurrent: pool.settings.maxConcurrent, threads: pool.settings.threads || 'auto' },
+    logLevel: log.settings.level
+  });
+  if (!auth.enabled()) {
+    log.warn('API_KEYS is not set, every route is open without authentication');
+  }
+  log.info('Available endpoints', { endpoints: ENDPOINTS, notes: NOTES });
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\nShutting down server...');
+  log.info('Shutting down server');
   // Clean up any remaining files
   try {
-    await fs.rmdir('temp', { recursive: true });
-    console.log('Temporary files cleaned up');
+    await fs.rmdir(TEMP_DIR, { recursive: true });
+    log.info('Temporary files cleaned up');
   } catch (error) {
-    console.error('Error cleaning up:', error);
+    log.error('Error cleaning up', { error });
   }
   process.exit(0);
 });
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { load } = require('../lib/config');
+
+const writeConfigFile = (t, name, text) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+};
+
+test('load uses the defaults without a file or environment', () => {
+  const { values, sources } = load({});
+  assert.equal(values.server.port, 3001);
+  assert.equal(values.encoding.codec, 'h264');
+  assert.equal(sources['server.port'], 'default');
+});
+
+test('load coerces environment values by type', () => {
+  const { values, sources } = load({
+    PORT: '8080',
+    MAX_INPUT_BYTES: '500MB',
+    FFMPEG_TIMEOUT_MS: '90s',
+    ADMIN_API_KEYS: 'ops, deploy'
+  });
+  assert.equal(values.server.port, 8080);
+  assert.equal(values.limits.maxInputBytes, 500 * 1024 ** 2);
+  assert.equal(values.ffmpeg.timeout, 90 * 1000);
+  assert.deepEqual(values.auth.adminKeys, ['ops', 'deploy']);
+  assert.equal(sources['server.port'], 'env PORT');
+});
+
+test('load reads a YAML file, keeping "#" inside quoted values', (t) => {
+  const filePath = writeConfigFile(t, 'config.yaml', [
+    '# Deployment settings',
+    'server:',
+    '  port: 4000',
+    '  publicBaseUrl: "https://example.com/#/app"  # behind the proxy',
+    'auth:',
+    "  urlSigningSecret: 'not # a comment'",
+    '  adminKeys: [ops, deploy]',
+    ''
+  ].join('\n'));
+  const { values, sources } = load({ CONFIG_FILE: filePath });
+  assert.equal(values.server.port, 4000);
+  assert.equal(values.server.publicBaseUrl, 'https://example.com/#/app');
+  assert.equal(values.auth.urlSigningSecret, 'not # a comment');
+  assert.deepEqual(values.auth.adminKeys, ['ops', 'deploy']);
+  assert.equal(sources['server.port'], 'file');
+});
+
+test('the environment overrides the config file', (t) => {
+  const filePath = writeConfigFile(t, 'config.json', JSON.stringify({ server: { port: 4000 } }));
+  const { values, sources } = load({ CONFIG_FILE: filePath, PORT: '5000' });
+  assert.equal(values.server.port, 5000);
+  assert.equal(sources['server.port'], 'env PORT');
+});
+
+test('load reports every problem at once', (t) => {
+  const filePath = writeConfigFile(t, 'config.yaml', 'server:\n  port: 0\n  colour: blue\nextras:\n  a: 1\n');
+  assert.throws(() => load({ CONFIG_FILE: filePath, LOG_LEVEL: 'loud' }), (error) => {
+    assert.match(error.message, /server\.port \(from file\) must be at least 1/);
+    assert.match(error.message, /server\.colour: unknown setting/);
+    assert.match(error.message, /extras: unknown section/);
+    assert.match(error.message, /logging\.level \(from env LOG_LEVEL\) must be one of/);
+    return true;
+  });
+});
+
+test('load rejects a config file it cannot parse', (t) => {
+  const filePath = writeConfigFile(t, 'config.yaml', 'server:\n  port: [\n');
+  assert.throws(() => load({ CONFIG_FILE: filePath }), /CONFIG_FILE .*config\.yaml/);
+});
+
+test('load checks encoding and subtitle defaults against the codec and style tables', () => {
+  assert.throws(() => load({ ENCODE_CODEC: 'mpeg2' }), /encoding\.codec .* must be one of: h264, h265, vp9, av1/);
+  assert.throws(() => load({ SUBTITLE_STYLE: 'comic' }), /subtitles\.style .* must be one of/);
+  assert.throws(() => load({ ENCODE_CODEC: 'h264', ENCODE_CRF: '55' }), /encoding\.crf is above 51/);
+  assert.throws(() => load({ ENCODE_PRESET: 'slow', ENCODE_SLOWEST_PRESET: 'fast' }), /slower than encoding\.slowestPreset/);
+});
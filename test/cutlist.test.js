@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTime, resolveCutList, buildCutFilter, buildEdl, mapTime } = require('../lib/cutlist');
+
+test('parseTime reads seconds and timecodes', () => {
+  assert.equal(parseTime(12.5), 12.5);
+  assert.equal(parseTime('12.5'), 12.5);
+  assert.equal(parseTime('01:30'), 90);
+  assert.equal(parseTime('1:02:03,250'), 3723.25);
+  assert.ok(Number.isNaN(parseTime('00:75')));
+  assert.ok(Number.isNaN(parseTime(null)));
+});
+
+test('resolveCutList sorts keep ranges and rejects overlaps', () => {
+  assert.deepEqual(resolveCutList({ keep: [{ start: 10, end: 12 }, { start: 0, end: 5 }] }), [
+    { start: 0, end: 5 },
+    { start: 10, end: 12 }
+  ]);
+  assert.throws(() => resolveCutList({ keep: [{ start: 0, end: 5 }, { start: 4, end: 8 }] }), /must not overlap/);
+  assert.throws(() => resolveCutList({ keep: [{ start: 0, end: 1 }], remove: [{ start: 2, end: 3 }] }), /exactly one/);
+});
+
+test('resolveCutList turns remove ranges into keep ranges', () => {
+  assert.deepEqual(resolveCutList({ remove: [{ start: 5, end: 10 }, { start: 0, end: 2 }] }, 20), [
+    { start: 2, end: 5 },
+    { start: 10, end: 20 }
+  ]);
+  assert.throws(() => resolveCutList({ remove: [{ start: 0, end: 20 }] }, 20), /removes the whole video/);
+});
+
+test('resolveCutList checks ranges against the duration, with a little tolerance', () => {
+  assert.deepEqual(resolveCutList({ keep: [{ start: 5, end: 10.05 }] }, 10), [{ start: 5, end: 10 }]);
+  assert.throws(() => resolveCutList({ keep: [{ start: 5, end: 11 }] }, 10), /outside the media duration/);
+});
+
+test('buildEdl and mapTime remap source times to the output', () => {
+  const edl = buildEdl([{ start: 10, end: 20 }, { start: 2, end: 5 }]);
+  assert.deepEqual(edl.map(({ outputStart, outputEnd }) => [outputStart, outputEnd]), [[0, 3], [3, 13]]);
+  assert.equal(mapTime(edl, 3), 1);
+  assert.equal(mapTime(edl, 15), 8);
+  assert.equal(mapTime(edl, 7), null);
+});
+
+test('buildCutFilter caps transitions at half the shortest segment', () => {
+  const { filter, transitions } = buildCutFilter([{ start: 0, end: 1 }, { start: 3, end: 10 }], {
+    duration: 10,
+    audioCrossfade: 2,
+    videoFade: 0.2
+  });
+  assert.deepEqual(transitions, { audioCrossfade: 0.5, videoFade: 0.2 });
+  assert.match(filter, /\[0:a\]atrim=start=0\.000:end=1\.500/);
+  assert.match(filter, /acrossfade=d=0\.500:c1=tri:c2=tri\[outa\]/);
+  assert.match(filter, /concat=n=2:v=1:a=0\[outv\]/);
+});
+
+test('buildCutFilter uses no transitions for a single range', () => {
+  const { filter, transitions } = buildCutFilter([{ start: 1, end: 4 }], { audioCrossfade: 1, videoFade: 1 });
+  assert.deepEqual(transitions, { audioCrossfade: 0, videoFade: 0 });
+  assert.ok(!filter.includes('fade'));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sniffBuffer, checkMediaFile } = require('../lib/sniff');
+
+// A buffer of `length` zero bytes starting with `head`
+const bytes = (head, length = 64) => {
+  const buf = Buffer.alloc(length);
+  (typeof head === 'string' ? Buffer.from(head, 'latin1') : Buffer.from(head)).copy(buf);
+  return buf;
+};
+
+test('sniffBuffer recognises common containers', () => {
+  assert.deepEqual(sniffBuffer(bytes('\0\0\0\x20ftypisom')), { kind: 'media', format: 'mp4/mov' });
+  assert.deepEqual(sniffBuffer(bytes('\0\0\0\x18ftypheic')), { kind: 'image', format: 'heif' });
+  assert.deepEqual(sniffBuffer(bytes([0x1a, 0x45, 0xdf, 0xa3])), { kind: 'media', format: 'matroska/webm' });
+  assert.deepEqual(sniffBuffer(bytes('RIFF\0\0\0\0WAVE')), { kind: 'audio', format: 'wav' });
+  assert.deepEqual(sniffBuffer(bytes('RIFF\0\0\0\0AVI ')), { kind: 'video', format: 'avi' });
+  assert.deepEqual(sniffBuffer(bytes('ID3')), { kind: 'audio', format: 'mp3' });
+  assert.deepEqual(sniffBuffer(bytes([0xff, 0xd8, 0xff, 0xe0])), { kind: 'image', format: 'jpeg' });
+  assert.deepEqual(sniffBuffer(bytes([0x89, 0x50, 0x4e, 0x47])), { kind: 'image', format: 'png' });
+});
+
+test('sniffBuffer needs a sync byte at each of three packets for MPEG-TS', () => {
+  const ts = Buffer.alloc(564);
+  [0, 188, 376].forEach((offset) => { ts[offset] = 0x47; });
+  assert.deepEqual(sniffBuffer(ts), { kind: 'video', format: 'mpegts' });
+
+  ts[376] = 0;
+  assert.notEqual(sniffBuffer(ts).format, 'mpegts');
+  // A short file starting with "G" is not a transport stream
+  assert.notEqual(sniffBuffer(Buffer.from('Gateway Timeout')).format, 'mpegts');
+});
+
+test('sniffBuffer tells GIF from MPEG-TS', () => {
+  assert.deepEqual(sniffBuffer(bytes('GIF89a', 512)), { kind: 'image', format: 'gif' });
+});
+
+test('sniffBuffer flags error pages and other text', () => {
+  assert.equal(sniffBuffer(Buffer.from('<!DOCTYPE html><html><body>Not found</body></html>')).kind, 'text');
+  assert.equal(sniffBuffer(Buffer.from('{"error":"AccessDenied"}')).kind, 'text');
+  assert.equal(sniffBuffer(Buffer.from('Gateway Timeout')).kind, 'text');
+  assert.deepEqual(sniffBuffer(Buffer.from([0x00, 0x01, 0x02, 0x03, 0x04])), { kind: null, format: null });
+  assert.deepEqual(sniffBuffer(Buffer.from('ab')), { kind: null, format: null });
+});
+
+test('checkMediaFile rejects a download of the wrong kind with 422', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sniff-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const page = path.join(dir, 'page');
+  fs.writeFileSync(page, '<html><body>Please sign in</body></html>');
+  await assert.rejects(checkMediaFile(page, 'video'), { status: 422, message: /is a text or HTML page/ });
+
+  const image = path.join(dir, 'image');
+  fs.writeFileSync(image, bytes([0x89, 0x50, 0x4e, 0x47]));
+  await assert.rejects(checkMediaFile(image, 'video', { requireVideo: true }), { status: 422, message: /is an image, not a video \(png\)/ });
+  assert.deepEqual(await checkMediaFile(image, 'thumbnail', { requireImage: true }), { kind: 'image', format: 'png' });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCues, cuesToSrt, shiftCues, remapCues, resplitCues } = require('../lib/subtitles');
+const { buildEdl } = require('../lib/cutlist');
+
+// Source 0-10 and 20-30 kept: output 0-10 and 10-20
+const EDL = buildEdl([{ start: 0, end: 10 }, { start: 20, end: 30 }]);
+
+test('parseCues reads SRT and WebVTT with cue settings', () => {
+  const srt = '1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nWorld\r\n';
+  assert.deepEqual(parseCues(srt), [
+    { start: 1, end: 2.5, text: 'Hello' },
+    { start: 3, end: 4, text: 'World' }
+  ]);
+  const vtt = 'WEBVTT\n\n00:01.000 --> 00:02.000 align:start\nHi there\n';
+  assert.deepEqual(parseCues(vtt), [{ start: 1, end: 2, text: 'Hi there' }]);
+});
+
+test('parseCues and cuesToSrt round-trip', () => {
+  const cues = [{ start: 61.5, end: 63, text: 'One\nTwo' }];
+  assert.deepEqual(parseCues(cuesToSrt(cues)), cues);
+});
+
+test('shiftCues clips cues moved before 0 and drops those left empty', () => {
+  const shifted = shiftCues([{ start: 1, end: 3, text: 'a' }, { start: 0, end: 1, text: 'b' }], -2);
+  assert.deepEqual(shifted, [{ start: 0, end: 1, text: 'a' }]);
+});
+
+test('remapCues moves kept cues and drops removed ones', () => {
+  const { cues, dropped, clipped } = remapCues([
+    { start: 2, end: 4, text: 'kept' },
+    { start: 12, end: 15, text: 'removed' },
+    { start: 22, end: 24, text: 'after the cut' }
+  ], EDL);
+  assert.deepEqual(cues, [
+    { start: 2, end: 4, text: 'kept' },
+    { start: 12, end: 14, text: 'after the cut' }
+  ]);
+  assert.equal(dropped, 1);
+  assert.equal(clipped, 0);
+});
+
+test('remapCues clips partly removed cues, or drops them with partial: drop', () => {
+  const cue = { start: 8, end: 12, text: 'straddles the cut' };
+  const clipped = remapCues([cue], EDL);
+  assert.deepEqual(clipped.cues, [{ start: 8, end: 10, text: 'straddles the cut' }]);
+  assert.equal(clipped.clipped, 1);
+
+  assert.deepEqual(remapCues([cue], EDL, { partial: 'drop' }), { cues: [], dropped: 1, clipped: 0 });
+});
+
+test('remapCues keeps only the words that survived a cut', () => {
+  const { cues } = remapCues([{
+    start: 9, end: 21, text: 'one two three',
+    words: [
+      { word: 'one', start: 9, end: 9.5 },
+      { word: 'two', start: 15, end: 15.5 },
+      { word: 'three', start: 20.2, end: 20.8 }
+    ]
+  }], EDL);
+  assert.equal(cues[0].text, 'one three');
+  assert.deepEqual(cues[0].words.map(word => [word.start, word.end]), [[9, 9.5], [10.2, 10.8]]);
+  assert.deepEqual([cues[0].start, cues[0].end], [9, 11]);
+});
+
+test('resplitCues wraps lines and shares time out by text length', () => {
+  const cues = resplitCues([{ start: 0, end: 4, text: 'aaaa bbbb cccc dddd' }], { maxCharsPerLine: 4, maxLines: 2 });
+  assert.deepEqual(cues, [
+    { start: 0, end: 2, text: 'aaaa\nbbbb' },
+    { start: 2, end: 4, text: 'cccc\ndddd' }
+  ]);
+});
+
+test('resplitCues splits at word timings when there are any', () => {
+  const words = ['one', 'two', 'three'].map((word, i) => ({ word, start: i * 2, end: i * 2 + 1 }));
+  const cues = resplitCues([{ start: 0, end: 6, text: 'one two three', words }], { maxCharsPerLine: 3, maxLines: 1 });
+  assert.deepEqual(cues.map(cue => [cue.start, cue.end, cue.text]), [[0, 2, 'one'], [2, 4, 'two'], [4, 6, 'three']]);
+  assert.deepEqual(cues[2].words, [words[2]]);
+});